@@ -0,0 +1,64 @@
+// The workflow stage a Service Advisor scans while getting the customer's approval
+const ADDITIONAL_WORK_APPROVAL_STAGE = "Additional Work Job Approval";
+
+// Requests still waiting for the customer's decision
+const OPEN_STATUSES = ["requested", "estimated"];
+
+// Validates line items. Returns { items, total, errors }.
+const parseItems = (items) => {
+  if (items === undefined) return { items: undefined, total: null, errors: [] };
+  if (!Array.isArray(items)) return { items: undefined, total: null, errors: ["items must be an array."] };
+
+  const errors = [];
+  const parsed = items.map((item, index) => {
+    const description = item && item.description ? String(item.description).trim() : "";
+    const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+    const amount = item && item.amount !== undefined ? Number(item.amount) : 0;
+
+    if (!description) errors.push(`Item ${index + 1}: description is required.`);
+    if (!Number.isFinite(quantity) || quantity < 0) errors.push(`Item ${index + 1}: quantity must be zero or more.`);
+    if (!Number.isFinite(amount) || amount < 0) errors.push(`Item ${index + 1}: amount must be zero or more.`);
+    return { description, quantity, amount };
+  });
+
+  return { items: parsed, total: parsed.reduce((sum, item) => sum + (item.amount || 0), 0), errors };
+};
+
+// Links an "Additional Work Job Approval N" scan to the oldest request still without one
+const linkApprovalScan = (vehicle, stage) => {
+  const request = vehicle.additionalWork
+    .filter(r => OPEN_STATUSES.includes(r.status) && !r.approvalStageId)
+    .sort((a, b) => a.raisedAt - b.raisedAt)[0];
+  if (request) request.approvalStageId = stage._id;
+  return request || null;
+};
+
+// Bay Work starting or resuming after an approval is the approved work getting under way
+const linkResumedBayWork = (vehicle, stage) => {
+  vehicle.additionalWork
+    .filter(r => r.decision === "approved" && !r.resumedAt && r.decidedAt <= stage.timestamp)
+    .forEach(r => {
+      r.resumedBayWorkStageId = stage._id;
+      r.resumedAt = stage.timestamp;
+    });
+};
+
+// Time between the lifecycle steps of one request, in ms (null until both steps happened)
+const requestDurations = (request) => {
+  const between = (from, to) => (from && to ? to - from : null);
+  return {
+    raisedToEstimateMs: between(request.raisedAt, request.estimatedAt),
+    raisedToDecisionMs: between(request.raisedAt, request.decidedAt),
+    estimateToDecisionMs: between(request.estimatedAt, request.decidedAt),
+    decisionToResumeMs: between(request.decidedAt, request.resumedAt)
+  };
+};
+
+module.exports = {
+  ADDITIONAL_WORK_APPROVAL_STAGE,
+  OPEN_STATUSES,
+  parseItems,
+  linkApprovalScan,
+  linkResumedBayWork,
+  requestDurations
+};
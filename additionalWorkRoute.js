@@ -0,0 +1,195 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Vehicle = require("./models/vehicle");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission } = require("./permissions");
+const { findOpenBayJob } = require("./bayOccupancy");
+const { OPEN_STATUSES, parseItems } = require("./additionalWork");
+
+const actorOf = (req) => ({ userId: req.user._id, userName: req.user.name });
+
+// Loads a vehicle (and optionally one of its requests). Sends the error response
+// itself and returns null when either is missing.
+const loadVehicle = async (req, res, { requireOpen = false, withRequest = false } = {}) => {
+  const { vehicleId, requestId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(vehicleId) || (withRequest && !mongoose.Types.ObjectId.isValid(requestId))) {
+    res.status(400).json({ success: false, message: "Invalid vehicle or request id." });
+    return null;
+  }
+
+  const vehicle = await Vehicle.findOne(requireOpen ? { _id: vehicleId, exitTime: null } : { _id: vehicleId });
+  if (!vehicle) {
+    res.status(404).json({ success: false, message: requireOpen ? "No active vehicle entry found." : "Vehicle not found." });
+    return null;
+  }
+
+  if (!withRequest) return { vehicle };
+
+  const request = vehicle.additionalWork.id(requestId);
+  if (!request) {
+    res.status(404).json({ success: false, message: "Additional work request not found." });
+    return null;
+  }
+  return { vehicle, request };
+};
+
+// ✅ List a visit's additional work requests
+router.get("/vehicles/:vehicleId/additional-work", authMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadVehicle(req, res);
+    if (!loaded) return;
+
+    res.json({ success: true, vehicleNumber: loaded.vehicle.vehicleNumber, additionalWork: loaded.vehicle.additionalWork });
+  } catch (error) {
+    console.error("❌ Error in GET /vehicles/:vehicleId/additional-work:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Raise additional work found on a vehicle (usually by the Bay Technician working on it)
+router.post("/vehicles/:vehicleId/additional-work", authMiddleware, requirePermission("additionalWork:raise"), async (req, res) => {
+  try {
+    const { description } = req.body;
+    const { items, total, errors } = parseItems(req.body.items);
+
+    if (!(description && String(description).trim()) && !(items && items.length > 0)) {
+      return res.status(400).json({ success: false, message: "Describe the additional work or list its items." });
+    }
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join(" "), errors });
+    }
+
+    const loaded = await loadVehicle(req, res, { requireOpen: true });
+    if (!loaded) return;
+    const { vehicle } = loaded;
+
+    const updated = await Vehicle.pushNumbered(vehicle, "additionalWork", (current, number) => {
+      const bayJob = findOpenBayJob(current);
+      return {
+        number,
+        raisedBy: actorOf(req),
+        raisedByRole: req.user.role,
+        raisedAt: new Date(),
+        description: description ? String(description).trim() : null,
+        bayWorkStageId: bayJob ? bayJob.start._id : null,
+        items: items || [],
+        // Items priced by whoever raised it give a first estimate
+        estimateAmount: items && total > 0 ? total : null
+      };
+    });
+    if (!updated) {
+      return res.status(409).json({ success: false, message: "The visit changed while saving. Please try again." });
+    }
+
+    const request = updated.additionalWork[updated.additionalWork.length - 1];
+    console.log(`➕ ${req.user.name} raised additional work #${request.number} on ${updated.vehicleNumber}`);
+    res.status(201).json({ success: true, message: `Additional work #${request.number} raised.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/additional-work:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Price the additional work before asking the customer
+router.put("/vehicles/:vehicleId/additional-work/:requestId/estimate", authMiddleware, requirePermission("additionalWork:decide"), async (req, res) => {
+  try {
+    const { estimateAmount } = req.body;
+    const { items, total, errors } = parseItems(req.body.items);
+
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join(" "), errors });
+    }
+    const amount = estimateAmount !== undefined ? Number(estimateAmount) : total;
+    if (amount === null || !Number.isFinite(amount) || amount < 0) {
+      return res.status(400).json({ success: false, message: "Provide items or an estimateAmount of zero or more." });
+    }
+
+    const loaded = await loadVehicle(req, res, { withRequest: true });
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    if (!OPEN_STATUSES.includes(request.status)) {
+      return res.status(400).json({ success: false, message: `This request is already ${request.status}.` });
+    }
+
+    if (items) request.items = items;
+    request.estimateAmount = amount;
+    request.estimatedBy = actorOf(req);
+    request.estimatedAt = new Date();
+    request.status = "estimated";
+    await vehicle.save();
+
+    res.json({ success: true, message: `Estimate saved for additional work #${request.number}.`, request });
+  } catch (error) {
+    console.error("❌ Error in PUT /vehicles/:vehicleId/additional-work/:requestId/estimate:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Record the customer's decision. decidedAt defaults to now but can be set to when
+// the customer actually answered (e.g. on a phone call).
+router.post("/vehicles/:vehicleId/additional-work/:requestId/decision", authMiddleware, requirePermission("additionalWork:decide"), async (req, res) => {
+  try {
+    const { decision, decidedAt, note } = req.body;
+
+    if (!["approved", "declined"].includes(decision)) {
+      return res.status(400).json({ success: false, message: "decision must be approved or declined." });
+    }
+
+    const decisionTime = decidedAt ? new Date(decidedAt) : new Date();
+    if (isNaN(decisionTime.getTime()) || decisionTime > new Date()) {
+      return res.status(400).json({ success: false, message: "decidedAt must be a valid time that is not in the future." });
+    }
+
+    const loaded = await loadVehicle(req, res, { withRequest: true });
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    if (!OPEN_STATUSES.includes(request.status)) {
+      return res.status(400).json({ success: false, message: `This request is already ${request.status}.` });
+    }
+    if (decisionTime < request.raisedAt) {
+      return res.status(400).json({ success: false, message: "The decision cannot be before the request was raised." });
+    }
+
+    request.decision = decision;
+    request.status = decision;
+    request.decidedAt = decisionTime;
+    request.decisionRecordedBy = actorOf(req);
+    request.decisionNote = note ? String(note).trim() : null;
+    await vehicle.save();
+
+    console.log(`✅ Customer ${decision} additional work #${request.number} on ${vehicle.vehicleNumber}`);
+    res.json({ success: true, message: `Additional work #${request.number} ${decision}.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/additional-work/:requestId/decision:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Withdraw a request raised by mistake
+router.post("/vehicles/:vehicleId/additional-work/:requestId/cancel", authMiddleware, requirePermission("additionalWork:decide"), async (req, res) => {
+  try {
+    const loaded = await loadVehicle(req, res, { withRequest: true });
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    if (!OPEN_STATUSES.includes(request.status)) {
+      return res.status(400).json({ success: false, message: `This request is already ${request.status}.` });
+    }
+
+    request.status = "cancelled";
+    request.decisionRecordedBy = actorOf(req);
+    request.decisionNote = req.body.reason ? String(req.body.reason).trim() : null;
+    await vehicle.save();
+
+    res.json({ success: true, message: `Additional work #${request.number} cancelled.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/additional-work/:requestId/cancel:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,122 @@
+const Vehicle = require("./models/vehicle");
+
+// Periods in which a Bay Work job was being worked on (not paused), as [from, to] pairs.
+// `events` are the job's Pause/Resume/End events after `start`; open work runs until `until`.
+const jobActiveIntervals = (start, events, until = new Date()) => {
+  const intervals = [];
+  let activeFrom = start.timestamp;
+
+  [...events].sort((a, b) => a.timestamp - b.timestamp).forEach(event => {
+    if (event.eventType === "Pause" && activeFrom) {
+      intervals.push([activeFrom, event.timestamp]);
+      activeFrom = null;
+    } else if (event.eventType === "Resume" && !activeFrom) {
+      activeFrom = event.timestamp;
+    } else if (event.eventType === "End") {
+      if (activeFrom) intervals.push([activeFrom, event.timestamp]);
+      activeFrom = null;
+      until = event.timestamp;
+    }
+  });
+
+  if (activeFrom && until > activeFrom) intervals.push([activeFrom, until]);
+  return intervals;
+};
+
+const overlapMs = (from, to, intervals) =>
+  intervals.reduce((sum, [a, b]) => {
+    const start = Math.max(from, a);
+    const end = Math.min(to, b);
+    return end > start ? sum + (end - start) : sum;
+  }, 0);
+
+const sessionsForJob = (vehicle, start) =>
+  (vehicle.labour || []).filter(session => String(session.jobStageId) === String(start._id));
+
+/**
+ * Labour booked on one Bay Work job, per technician. Time only counts while the
+ * technician was clocked on and the job was not paused. Jobs recorded before
+ * clock on/off existed count the whole active time against the technician who started them.
+ */
+const calculateJobLabour = (vehicle, start, events, until = new Date()) => {
+  const intervals = jobActiveIntervals(start, events, until);
+  const sessions = sessionsForJob(vehicle, start);
+
+  if (sessions.length === 0) {
+    const activeMs = overlapMs(start.timestamp, until, intervals);
+    return {
+      labourMs: activeMs,
+      technicians: [{ userId: start.performedBy.userId, userName: start.performedBy.userName, activeMs }]
+    };
+  }
+
+  const technicians = {};
+  sessions.forEach(session => {
+    const key = String(session.technician.userId);
+    if (!technicians[key]) {
+      technicians[key] = { userId: session.technician.userId, userName: session.technician.userName, activeMs: 0 };
+    }
+    technicians[key].activeMs += overlapMs(session.clockOnAt, session.clockOffAt || until, intervals);
+  });
+
+  const list = Object.values(technicians);
+  return { labourMs: list.reduce((sum, t) => sum + t.activeMs, 0), technicians: list };
+};
+
+// Books `technician` onto the job started by `start`, unless they are already on it
+const clockOn = (vehicle, start, technician, at = new Date()) => {
+  const alreadyOn = sessionsForJob(vehicle, start).some(session =>
+    !session.clockOffAt && String(session.technician.userId) === String(technician.userId)
+  );
+  if (alreadyOn) return false;
+
+  vehicle.labour.push({
+    jobStageId: start._id,
+    stageName: start.stageName,
+    workType: start.workType,
+    technician,
+    clockOnAt: at
+  });
+  return true;
+};
+
+// Clocks off one technician (or everyone when userId is null) from a job
+const clockOff = (vehicle, start, userId, at = new Date(), reason = "clockOff") => {
+  let count = 0;
+  sessionsForJob(vehicle, start).forEach(session => {
+    if (session.clockOffAt) return;
+    if (userId && String(session.technician.userId) !== String(userId)) return;
+    session.clockOffAt = at;
+    session.clockOffReason = reason;
+    count++;
+  });
+  return count;
+};
+
+// A technician works one job at a time: clock them off anything open on other vehicles
+const clockOffOtherVehicles = async (userId, exceptVehicleId, at = new Date()) => {
+  const vehicles = await Vehicle.find({
+    _id: { $ne: exceptVehicleId },
+    exitTime: null,
+    labour: { $elemMatch: { "technician.userId": userId, clockOffAt: null } }
+  });
+
+  for (const vehicle of vehicles) {
+    vehicle.labour.forEach(session => {
+      if (!session.clockOffAt && String(session.technician.userId) === String(userId)) {
+        session.clockOffAt = at;
+        session.clockOffReason = "switchedJob";
+      }
+    });
+    await vehicle.save();
+  }
+  return vehicles.length;
+};
+
+module.exports = {
+  jobActiveIntervals,
+  calculateJobLabour,
+  clockOn,
+  clockOff,
+  clockOffOtherVehicles
+};
@@ -0,0 +1,120 @@
+const Vehicle = require("./models/vehicle");
+
+const BAY_COUNT = 15;
+
+// The Bay Work job a vehicle is currently in, or null. Starting new Bay Work always
+// closes the previous job, so only the latest Start on a vehicle can still be open.
+const findOpenBayJob = (vehicle) => {
+  const bayWorkStages = vehicle.stages
+    .filter(s => !s.voided && s.stageName.startsWith("Bay Work:"))
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const start = [...bayWorkStages].reverse().find(s => s.eventType === "Start");
+  if (!start || !start.bayNumber) return null;
+
+  const events = bayWorkStages.filter(s => s.timestamp > start.timestamp && s.stageName === start.stageName);
+  if (events.some(s => s.eventType === "End")) return null;
+
+  const pauses = events.filter(s => s.eventType === "Pause").length;
+  const resumes = events.filter(s => s.eventType === "Resume").length;
+  const lastEvent = events[events.length - 1] || start;
+  const lastMove = (vehicle.bayMoves || [])
+    .filter(m => m.stageName === start.stageName && m.movedAt > start.timestamp)
+    .sort((a, b) => b.movedAt - a.movedAt)[0];
+
+  return {
+    start,
+    events,
+    bayNumber: start.bayNumber,
+    workType: start.workType,
+    stageName: start.stageName,
+    status: pauses > resumes ? "paused" : "active",
+    since: start.timestamp,
+    inBaySince: lastMove ? lastMove.movedAt : start.timestamp,
+    statusSince: ["Pause", "Resume"].includes(lastEvent.eventType) ? lastEvent.timestamp : start.timestamp,
+    technician: lastEvent.performedBy,
+    clockedOn: (vehicle.labour || [])
+      .filter(session => String(session.jobStageId) === String(start._id) && !session.clockOffAt)
+      .map(session => ({
+        userId: session.technician.userId,
+        userName: session.technician.userName,
+        clockOnAt: session.clockOnAt
+      }))
+  };
+};
+
+// Every event of the Bay Work job `event` belongs to: the job's Start and the
+// Pause/Resume/End events that follow it in the same bay, up to its End
+const findBayJobEvents = (vehicle, event) => {
+  const sameJob = vehicle.stages
+    .filter(s => !s.voided && s.stageName === event.stageName && s.bayNumber == event.bayNumber)
+    .sort((a, b) => a.timestamp - b.timestamp);
+
+  const start = [...sameJob].reverse().find(s => s.eventType === "Start" && s.timestamp <= event.timestamp);
+  if (!start) return [event];
+
+  const events = [start];
+  for (const s of sameJob.filter(s => s.timestamp > start.timestamp)) {
+    if (s.eventType === "Start") break;
+    events.push(s);
+    if (s.eventType === "End") break;
+  }
+  return events;
+};
+
+// Puts every event of a Bay Work job in `toBay`, keeping the old bay in each event's
+// corrections, so Start/Pause/Resume/End still pair up. Returns the bay it came from.
+const rehomeBayJob = (events, toBay, { reason, correctedBy, correctedAt = new Date() }) => {
+  const fromBay = events[0].bayNumber;
+  events.forEach(stage => {
+    stage.corrections.push({ field: "bayNumber", oldValue: stage.bayNumber, newValue: toBay, reason, correctedBy, correctedAt });
+    stage.bayNumber = toBay;
+  });
+  return fromBay;
+};
+
+// Live occupancy, one entry per occupied bay. More than one vehicle in a bay is
+// possible when conflicts are only warned about, so each bay lists all of them.
+const getBayOccupancy = async ({ excludeVehicleId = null } = {}) => {
+  const query = { exitTime: null, "stages.stageName": { $regex: /^Bay Work:/ } };
+  if (excludeVehicleId) query._id = { $ne: excludeVehicleId };
+
+  const vehicles = await Vehicle.find(query).lean();
+
+  const occupancy = {};
+  vehicles.forEach(vehicle => {
+    const job = findOpenBayJob(vehicle);
+    if (!job) return;
+
+    if (!occupancy[job.bayNumber]) occupancy[job.bayNumber] = [];
+    occupancy[job.bayNumber].push({
+      vehicleId: vehicle._id,
+      vehicleNumber: vehicle.vehicleNumber,
+      stageName: job.stageName,
+      workType: job.workType,
+      technician: job.technician ? { userId: job.technician.userId, userName: job.technician.userName } : null,
+      clockedOn: job.clockedOn,
+      status: job.status,
+      since: job.since,
+      inBaySince: job.inBaySince,
+      statusSince: job.statusSince
+    });
+  });
+
+  return occupancy;
+};
+
+// Vehicles other than `vehicleId` currently working in `bayNumber`
+const findBayConflicts = async (bayNumber, vehicleId = null) => {
+  const occupancy = await getBayOccupancy({ excludeVehicleId: vehicleId });
+  return occupancy[Number(bayNumber)] || [];
+};
+
+module.exports = {
+  BAY_COUNT,
+  findOpenBayJob,
+  findBayJobEvents,
+  rehomeBayJob,
+  getBayOccupancy,
+  findBayConflicts
+};
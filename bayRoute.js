@@ -0,0 +1,185 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Vehicle = require("./models/vehicle");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission, hasPermission, stageAction } = require("./permissions");
+const { BAY_COUNT, findOpenBayJob, rehomeBayJob, getBayOccupancy, findBayConflicts } = require("./bayOccupancy");
+const { clockOn, clockOff, clockOffOtherVehicles } = require("./bayLabour");
+
+// ✅ Live bay occupancy: which vehicle is in each bay, its work type, technician and state
+router.get("/bays/occupancy", authMiddleware, async (req, res) => {
+  try {
+    const occupancy = await getBayOccupancy();
+
+    const bays = [];
+    for (let bayNumber = 1; bayNumber <= BAY_COUNT; bayNumber++) {
+      const vehicles = occupancy[bayNumber] || [];
+      bays.push({
+        bayNumber,
+        isOccupied: vehicles.length > 0,
+        hasConflict: vehicles.length > 1,
+        vehicles
+      });
+    }
+
+    res.json({
+      success: true,
+      occupied: bays.filter(b => b.isOccupied).length,
+      free: bays.filter(b => !b.isOccupied).length,
+      bays
+    });
+  } catch (error) {
+    console.error("❌ Error in GET /bays/occupancy:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Move a vehicle's current Bay Work to another bay. The job keeps its Start,
+// pauses and resumes, so its timing carries on without a break.
+router.post("/vehicles/:vehicleId/move-bay", authMiddleware, requirePermission("bays:manage"), async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    const { toBay, reason } = req.body;
+    const targetBay = Number(toBay);
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+    if (!Number.isInteger(targetBay) || targetBay < 1 || targetBay > BAY_COUNT) {
+      return res.status(400).json({ success: false, message: `toBay must be between 1 and ${BAY_COUNT}.` });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, exitTime: null });
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: "No active vehicle entry found." });
+    }
+
+    const job = findOpenBayJob(vehicle);
+    if (!job) {
+      return res.status(400).json({ success: false, message: "This vehicle has no Bay Work in progress." });
+    }
+    if (job.bayNumber === targetBay) {
+      return res.status(400).json({ success: false, message: `The vehicle is already in bay ${targetBay}.` });
+    }
+
+    const conflicts = await findBayConflicts(targetBay, vehicle._id);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Bay ${targetBay} is occupied by ${conflicts.map(c => c.vehicleNumber).join(", ")}.`
+      });
+    }
+
+    const fromBay = job.bayNumber;
+    const movedBy = { userId: req.user._id, userName: req.user.name };
+    const movedAt = new Date();
+    const moveReason = reason && String(reason).trim() ? String(reason).trim() : `Moved from bay ${fromBay} to bay ${targetBay}`;
+
+    // Re-home the job's events so every Start/Pause/Resume/End pairing stays in one bay
+    rehomeBayJob(
+      [job.start, ...job.events].map(event => vehicle.stages.id(event._id)),
+      targetBay,
+      { reason: moveReason, correctedBy: movedBy, correctedAt: movedAt }
+    );
+
+    vehicle.bayMoves.push({
+      stageName: job.stageName,
+      workType: job.workType,
+      fromBay,
+      toBay: targetBay,
+      movedAt,
+      movedBy,
+      reason: reason && String(reason).trim() ? String(reason).trim() : null
+    });
+
+    await vehicle.save();
+
+    console.log(`🔀 ${req.user.name} moved ${vehicle.vehicleNumber} from bay ${fromBay} to bay ${targetBay}`);
+    res.json({ success: true, message: `${vehicle.vehicleNumber} moved from bay ${fromBay} to bay ${targetBay}.`, vehicle });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/move-bay:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// Loads an open vehicle and its Bay Work job for clock on/off. Sends the error
+// response itself and returns null when there is no job to book time on.
+const loadOpenBayJob = async (req, res) => {
+  const { vehicleId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+    res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    return null;
+  }
+
+  const vehicle = await Vehicle.findOne({ _id: vehicleId, exitTime: null });
+  if (!vehicle) {
+    res.status(404).json({ success: false, message: "No active vehicle entry found." });
+    return null;
+  }
+
+  const job = findOpenBayJob(vehicle);
+  if (!job) {
+    res.status(400).json({ success: false, message: "This vehicle has no Bay Work in progress." });
+    return null;
+  }
+
+  return { vehicle, job, start: vehicle.stages.id(job.start._id) };
+};
+
+// ✅ Join a Bay Work job that another technician started
+router.post("/vehicles/:vehicleId/bay-work/clock-on", authMiddleware, requirePermission(stageAction("Bay Work", "Start")), async (req, res) => {
+  try {
+    const loaded = await loadOpenBayJob(req, res);
+    if (!loaded) return;
+    const { vehicle, job, start } = loaded;
+
+    const now = new Date();
+    if (!clockOn(vehicle, start, { userId: req.user._id, userName: req.user.name }, now)) {
+      return res.status(400).json({ success: false, message: `You are already clocked on ${job.stageName}.` });
+    }
+
+    await vehicle.save();
+    await clockOffOtherVehicles(req.user._id, vehicle._id, now);
+
+    console.log(`⏱️ ${req.user.name} clocked on ${job.stageName} for ${vehicle.vehicleNumber}`);
+    res.json({ success: true, message: `Clocked on ${job.stageName} in bay ${job.bayNumber}.`, labour: vehicle.labour });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/bay-work/clock-on:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Leave a Bay Work job. Managers (bays:manage) can clock off someone who forgot by passing userId.
+router.post("/vehicles/:vehicleId/bay-work/clock-off", authMiddleware, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const targetUserId = userId || String(req.user._id);
+
+    if (targetUserId !== String(req.user._id) && !(await hasPermission(req.user.role, "bays:manage"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access Denied. Your role is not allowed to perform this action."
+      });
+    }
+
+    const loaded = await loadOpenBayJob(req, res);
+    if (!loaded) return;
+    const { vehicle, job, start } = loaded;
+
+    if (clockOff(vehicle, start, targetUserId, new Date(), "clockOff") === 0) {
+      return res.status(400).json({ success: false, message: `Not clocked on ${job.stageName}.` });
+    }
+
+    await vehicle.save();
+
+    console.log(`⏱️ ${targetUserId} clocked off ${job.stageName} for ${vehicle.vehicleNumber} by ${req.user.name}`);
+    res.json({ success: true, message: `Clocked off ${job.stageName}.`, labour: vehicle.labour });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/bay-work/clock-off:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -3,10 +3,25 @@ const router = express.Router();
 const Vehicle = require("./models/vehicle");
 const moment = require("moment-timezone");
 const {authMiddleware} = require("./userAuth");
+const { requirePermission } = require("./permissions");
+const { calculateJobLabour } = require("./bayLabour");
+const { getPauseReasons, UNSPECIFIED_REASON } = require("./pauseReasons");
+const { visitSummary } = require("./visitDetails");
+const { onTimeStats, assessDeliveryRisk } = require("./deliveryTracking");
+const { OPEN_STATUSES, requestDurations } = require("./additionalWork");
+const { OPEN_PARTS_STATUSES, partsWaitMs } = require("./partsRequests");
+const { EXCEPTION_TYPES, exceptionQuery, visitExceptions } = require("./stageExceptions");
 
 
 const toIST = (date) => moment(date).tz("Asia/Kolkata");
 
+// Voided scans stay on the vehicle for the audit trail but never count towards
+// any dashboard figure. Returns plain objects with only the live stage events.
+const excludeVoidedStages = (vehicles) => vehicles.map(vehicle => {
+  const plain = typeof vehicle.toObject === "function" ? vehicle.toObject() : vehicle;
+  return { ...plain, stages: (plain.stages || []).filter(stage => !stage.voided) };
+});
+
 const calculateDuration = (start, end = new Date()) => {
   const duration = moment.duration(moment(end).diff(moment(start)));
   return {
@@ -50,13 +65,33 @@ const dateRange = (type) => {
   }
 };
 
+// /vehicle-summary is public, so each visit is reduced to what the live board shows:
+// the plate, its times and the stages it has been through. Anything not listed here
+// (customer details, parts, labour, corrections) stays out.
+const publicVisitSummary = (vehicle) => ({
+  _id: vehicle._id,
+  vehicleNumber: vehicle.vehicleNumber,
+  vehicleModel: vehicle.vehicleModel || null,
+  entryTime: vehicle.entryTime,
+  exitTime: vehicle.exitTime,
+  promisedDeliveryAt: vehicle.promisedDeliveryAt || null,
+  stages: vehicle.stages.map(s => ({
+    stageName: s.stageName,
+    role: s.role,
+    eventType: s.eventType,
+    timestamp: s.timestamp,
+    workType: s.workType || null,
+    bayNumber: s.bayNumber || null
+  }))
+});
+
 router.get("/vehicle-summary", async (req, res) => {
   try {
     const sort = req.query.sort === "oldest" ? 1 : -1;
     const now = moment().tz("Asia/Kolkata").toDate();
 
     // Get vehicles still inside premises
-    const vehiclesInside = await Vehicle.find({ exitTime: null }).sort({ entryTime: sort });
+    const vehiclesInside = excludeVoidedStages(await Vehicle.find({ exitTime: null }).sort({ entryTime: sort }));
 
     // Attach duration and last scanned stage to each vehicle
     const insideWithDurations = vehiclesInside.map((v) => {
@@ -74,7 +109,7 @@ router.get("/vehicle-summary", async (req, res) => {
         : null;
 
       return {
-        ...v.toObject(),
+        ...publicVisitSummary(v),
         entryIST: entryIST.format("DD-MM-YYYY hh:mm A"),
         liveDuration: duration.formatted,
         lastStage,
@@ -101,15 +136,30 @@ router.get("/vehicle-summary", async (req, res) => {
       exitedThisMonth: await countByDate("thisMonth", true)
     };
 
+    // On-time delivery against the promised delivery time
+    const onTimePercentage = async (type) => {
+      const [start, end] = dateRange(type);
+      const delivered = await Vehicle.find({
+        exitTime: { $gte: start, $lte: end },
+        promisedDeliveryAt: { $ne: null }
+      }).select("exitTime promisedDeliveryAt originalPromisedDeliveryAt").lean();
+      return onTimeStats(delivered).onTimePercentage;
+    };
+    stats.onTimeDeliveryToday = await onTimePercentage("today");
+    stats.onTimeDeliveryThisWeek = await onTimePercentage("thisWeek");
+    stats.onTimeDeliveryThisMonth = await onTimePercentage("thisMonth");
+
     // Avg time spent
-    const exitedVehicles = await Vehicle.find({ exitTime: { $ne: null } });
+    const exitedVehicles = excludeVoidedStages(await Vehicle.find({ exitTime: { $ne: null } }));
     const avgTimeMs =
       exitedVehicles.reduce((sum, v) => sum + (v.exitTime - v.entryTime), 0) /
       (exitedVehicles.length || 1);
     const avgDuration = calculateDuration(0, avgTimeMs);
 
     // Longest active vehicle
-    const longestActive = await Vehicle.findOne({ exitTime: null }).sort({ entryTime: 1 });
+    const [longestActive = null] = excludeVoidedStages(
+      await Vehicle.find({ exitTime: null }).sort({ entryTime: 1 }).limit(1)
+    );
 
     res.json({
       vehiclesInside: insideWithDurations,
@@ -117,7 +167,7 @@ router.get("/vehicle-summary", async (req, res) => {
       avgTimeSpent: avgDuration.formatted,
       longestActive: longestActive
         ? {
-            vehicle: longestActive,
+            vehicle: publicVisitSummary(longestActive),
             since: toIST(longestActive.entryTime).format("DD-MM-YYYY hh:mm A"),
             duration: calculateDuration(longestActive.entryTime, now).formatted
           }
@@ -129,7 +179,82 @@ router.get("/vehicle-summary", async (req, res) => {
   }
 });
 
-router.get("/dashboard/stage-averages", authMiddleware, async (req, res) => {
+// ✅ Active visits ranked by how likely they are to miss their promised delivery time
+router.get("/dashboard/delivery-at-risk", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
+  try {
+    const now = new Date();
+    const { vehicles, sampleSize } = await assessDeliveryRisk(now);
+    const listed = req.query.all === "true" ? vehicles : vehicles.filter(v => v.status !== "onTrack");
+
+    const formatMs = (ms) => {
+      const sign = ms < 0 ? "-" : "";
+      const d = calculateDuration(0, Math.abs(ms));
+      return `${sign}${d.formatted}`;
+    };
+
+    res.status(200).json({
+      success: true,
+      counts: {
+        overdue: vehicles.filter(v => v.status === "overdue").length,
+        atRisk: vehicles.filter(v => v.status === "atRisk").length,
+        onTrack: vehicles.filter(v => v.status === "onTrack").length
+      },
+      basedOnCompletedVisits: sampleSize,
+      vehicles: listed.map(v => ({
+        ...v,
+        promisedDeliveryIST: toIST(v.promisedDeliveryAt).format("DD-MM-YYYY hh:mm A"),
+        timeLeft: formatMs(v.timeLeftMs),
+        expectedRemaining: formatMs(v.expectedRemainingMs),
+        slack: formatMs(v.slackMs)
+      })),
+      updatedAt: toIST(now).format("DD-MM-YYYY hh:mm A")
+    });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/delivery-at-risk:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ On-time delivery percentage per period, overall and per Service Advisor
+router.get("/dashboard/on-time-delivery", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
+  try {
+    const periods = ["today", "thisWeek", "thisMonth", "lastMonth"];
+    const data = {};
+
+    for (const period of periods) {
+      const [start, end] = dateRange(period);
+      const vehicles = await Vehicle.find({
+        exitTime: { $gte: start, $lte: end },
+        promisedDeliveryAt: { $ne: null }
+      })
+        .select("exitTime promisedDeliveryAt originalPromisedDeliveryAt serviceAdvisor")
+        .lean();
+
+      const byAdvisor = {};
+      vehicles.forEach(v => {
+        const key = v.serviceAdvisor ? String(v.serviceAdvisor.userId) : "unassigned";
+        if (!byAdvisor[key]) {
+          byAdvisor[key] = { advisor: v.serviceAdvisor ? v.serviceAdvisor.userName : "Unassigned", vehicles: [] };
+        }
+        byAdvisor[key].vehicles.push(v);
+      });
+
+      data[period] = {
+        overall: onTimeStats(vehicles),
+        byAdvisor: Object.values(byAdvisor)
+          .map(({ advisor, vehicles: advisorVehicles }) => ({ advisor, ...onTimeStats(advisorVehicles) }))
+          .sort((a, b) => (b.onTimePercentage ?? -1) - (a.onTimePercentage ?? -1))
+      };
+    }
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/on-time-delivery:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+router.get("/dashboard/stage-averages", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const restrictedStages = [
       "Interactive Bay", 
@@ -181,10 +306,10 @@ router.get("/dashboard/stage-averages", authMiddleware, async (req, res) => {
     for (const period of timePeriods) {
       const { start, end } = dateRanges[period];
 
-      const vehicles = await Vehicle.find({
+      const vehicles = excludeVoidedStages(await Vehicle.find({
         "stages.timestamp": { $gte: start, $lte: end },
         "stages.stageName": { $in: restrictedStages }
-      });
+      }));
 
       for (const vehicle of vehicles) {
         restrictedStages.forEach(stageName => {
@@ -250,7 +375,7 @@ router.get("/dashboard/stage-averages", authMiddleware, async (req, res) => {
 });
 
 
-router.get("/dashboard/special-stage-averages", authMiddleware, async (req, res) => {
+router.get("/dashboard/special-stage-averages", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const specialStages = [
       "Job Card Creation + Customer Approval",
@@ -309,17 +434,22 @@ router.get("/dashboard/special-stage-averages", authMiddleware, async (req, res)
     for (const period of timePeriods) {
       const { start, end } = dateRanges[period];
 
-      const vehicles = await Vehicle.find({
-        "stages.timestamp": { $gte: start, $lte: end },
-        "stages.stageName": {
-          $in: [
-            ...specialStages,
-            "Job Card Received + Bay Allocation",
-            "Bay Work",
-            "Washing"
-          ]
-        }
-      });
+      const vehicles = excludeVoidedStages(await Vehicle.find({
+        $or: [
+          {
+            "stages.timestamp": { $gte: start, $lte: end },
+            "stages.stageName": {
+              $in: [
+                ...specialStages,
+                "Job Card Received + Bay Allocation",
+                "Bay Work",
+                "Washing"
+              ]
+            }
+          },
+          { "additionalWork.decidedAt": { $gte: start, $lte: end } }
+        ]
+      }));
 
       vehicles.forEach(vehicle => {
         const vehicleStages = vehicle.stages
@@ -353,31 +483,50 @@ router.get("/dashboard/special-stage-averages", authMiddleware, async (req, res)
           }
         });
 
-        // Additional Work Job Approval
-        const additionalApprovalStarts = vehicleStages.filter(
-          s => s.stageName.startsWith("Additional Work Job Approval") && s.eventType === "Start"
-        );
-
-        additionalApprovalStarts.forEach(startEvent => {
-          const subsequentBayAllocations = vehicleStages.filter(s =>
-            s.stageName.startsWith("Job Card Received + Bay Allocation") &&
-            s.eventType === "Start" &&
-            s.timestamp > startEvent.timestamp
+        // Additional Work Job Approval: raised -> customer decision, from the request records.
+        // Visits from before requests were recorded fall back to the scan-based estimate.
+        if (vehicle.additionalWork && vehicle.additionalWork.length > 0) {
+          vehicle.additionalWork
+            .filter(request => request.decidedAt && request.decidedAt >= start && request.decidedAt <= end)
+            .forEach(request => {
+              const duration = requestDurations(request).raisedToDecisionMs;
+              result[period]["Additional Work Job Approval"].totalDurationMs += duration;
+              result[period]["Additional Work Job Approval"].count++;
+              result[period]["Additional Work Job Approval"].details.push({
+                vehicleNumber,
+                request: request.number,
+                decision: request.decision,
+                startTime: request.raisedAt,
+                endTime: request.decidedAt,
+                duration: formatDuration(duration)
+              });
+            });
+        } else {
+          const additionalApprovalStarts = vehicleStages.filter(
+            s => s.stageName.startsWith("Additional Work Job Approval") && s.eventType === "Start"
           );
 
-          if (subsequentBayAllocations.length >= 2) {
-            const endEvent = subsequentBayAllocations[1];
-            const duration = endEvent.timestamp - startEvent.timestamp;
-            result[period]["Additional Work Job Approval"].totalDurationMs += duration;
-            result[period]["Additional Work Job Approval"].count++;
-            result[period]["Additional Work Job Approval"].details.push({
-              vehicleNumber,
-              startTime: startEvent.timestamp,
-              endTime: endEvent.timestamp,
-              duration: formatDuration(duration)
-            });
-          }
-        });
+          additionalApprovalStarts.forEach(startEvent => {
+            const subsequentBayAllocations = vehicleStages.filter(s =>
+              s.stageName.startsWith("Job Card Received + Bay Allocation") &&
+              s.eventType === "Start" &&
+              s.timestamp > startEvent.timestamp
+            );
+
+            if (subsequentBayAllocations.length >= 2) {
+              const endEvent = subsequentBayAllocations[1];
+              const duration = endEvent.timestamp - startEvent.timestamp;
+              result[period]["Additional Work Job Approval"].totalDurationMs += duration;
+              result[period]["Additional Work Job Approval"].count++;
+              result[period]["Additional Work Job Approval"].details.push({
+                vehicleNumber,
+                startTime: startEvent.timestamp,
+                endTime: endEvent.timestamp,
+                duration: formatDuration(duration)
+              });
+            }
+          });
+        }
 
         // Ready for Washing
         const washingReadyStarts = vehicleStages.filter(
@@ -448,7 +597,7 @@ router.get("/dashboard/special-stage-averages", authMiddleware, async (req, res)
 });
 
 
-router.get("/dashboard/job-card-received-metrics", authMiddleware, async (req, res) => {
+router.get("/dashboard/job-card-received-metrics", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const formatDuration = (milliseconds) => {
       const totalSeconds = Math.floor(milliseconds / 1000);
@@ -509,9 +658,9 @@ router.get("/dashboard/job-card-received-metrics", authMiddleware, async (req, r
 
     for (const period of timePeriods) {
       const { start, end } = dateRanges[period];
-      const vehicles = await Vehicle.find({
+      const vehicles = excludeVoidedStages(await Vehicle.find({
         "stages.timestamp": { $gte: start, $lte: end }
-      });
+      }));
 
       for (const vehicle of vehicles) {
         const vehicleStages = vehicle.stages.filter(
@@ -626,7 +775,47 @@ router.get("/dashboard/job-card-received-metrics", authMiddleware, async (req, r
 });
 
 
-router.get("/dashboard/bay-work-metrics", authMiddleware, async (req, res) => {
+router.get("/dashboard/bay-work-metrics", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
+  try {
+    const getDateRanges = () => {
+      const now = new Date();
+      const startOfDay = new Date(now.setHours(0, 0, 0, 0));
+      const startOfWeek = new Date(now.setDate(now.getDate() - now.getDay()));
+      const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
+      const startOfLastMonth = new Date(now.getFullYear(), now.getMonth() - 1, 1);
+      const endOfLastMonth = new Date(now.getFullYear(), now.getMonth(), 0);
+      return {
+        today: { start: startOfDay, end: new Date() },
+        thisWeek: { start: startOfWeek, end: new Date() },
+        thisMonth: { start: startOfMonth, end: new Date() },
+        lastMonth: { start: startOfLastMonth, end: endOfLastMonth }
+      };
+    };
+
+    const dateRanges = getDateRanges();
+    const timePeriods = Object.keys(dateRanges);
+
+    const formattedResult = await calculateBayWorkMetrics(dateRanges, timePeriods);
+
+    return res.status(200).json({
+      success: true,
+      message: "Bay Work metrics calculated successfully",
+      data: formattedResult
+    });
+
+  } catch (error) {
+    console.error("❌ Error in /dashboard/bay-work-metrics:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+});
+
+
+// ✅ Paused Bay Work time broken down by pause reason, work type and bay
+router.get("/dashboard/pause-reasons", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const formatDuration = (milliseconds) => {
       const totalSeconds = Math.floor(milliseconds / 1000);
@@ -651,163 +840,301 @@ router.get("/dashboard/bay-work-metrics", authMiddleware, async (req, res) => {
       };
     };
 
-    const dateRanges = getDateRanges();
-    const timePeriods = Object.keys(dateRanges);
+    const reasons = await getPauseReasons();
+    const labelFor = (code) =>
+      code ? (reasons.find(r => r.code === code)?.label || code) : UNSPECIFIED_REASON.label;
 
+    const dateRanges = getDateRanges();
     const result = {};
-    timePeriods.forEach(period => {
-      result[period] = {
-        byWorkType: {},
-        overall: {
-          totalDurationMs: 0,
-          totalPausedDurationMs: 0,
-          totalActiveDurationMs: 0,
-          count: 0,
-          details: []
-        }
-      };
-    });
 
-    for (const period of timePeriods) {
-      const { start, end } = dateRanges[period];
+    for (const [period, { start, end }] of Object.entries(dateRanges)) {
+      const totals = { byReason: {}, byWorkType: {}, byBay: {}, totalPausedMs: 0, count: 0 };
 
-      const vehicles = await Vehicle.find({
+      // byCode: { [reasonCode]: { pausedMs, count } }
+      const add = (byCode, reasonCode, durationMs) => {
+        if (!byCode[reasonCode]) byCode[reasonCode] = { pausedMs: 0, count: 0 };
+        byCode[reasonCode].pausedMs += durationMs;
+        byCode[reasonCode].count++;
+      };
+
+      const vehicles = excludeVoidedStages(await Vehicle.find({
         "stages.timestamp": { $gte: start, $lte: end },
+        "stages.eventType": "Pause",
         "stages.stageName": { $regex: /^Bay Work:/ }
-      });
+      }));
 
       for (const vehicle of vehicles) {
         const bayWorkStages = vehicle.stages
-          .filter(s => s.stageName.startsWith("Bay Work:") && s.timestamp >= start && s.timestamp <= end)
+          .filter(s => s.stageName.startsWith("Bay Work:") && s.workType && s.bayNumber)
           .sort((a, b) => a.timestamp - b.timestamp);
 
-        const workGroups = {};
-        bayWorkStages.forEach(stage => {
-          const { workType, bayNumber } = stage;
-          if (!workType || !bayNumber) return;
-          const key = `${workType}-${bayNumber}`;
-          if (!workGroups[key]) {
-            workGroups[key] = { workType, bayNumber, stages: [] };
-          }
-          workGroups[key].stages.push(stage);
-        });
+        bayWorkStages
+          .filter(s => s.eventType === "Pause" && s.timestamp >= start && s.timestamp <= end)
+          .forEach(pause => {
+            const resumedBy = bayWorkStages.find(s =>
+              s.workType === pause.workType &&
+              s.bayNumber === pause.bayNumber &&
+              ["Resume", "End"].includes(s.eventType) &&
+              s.timestamp > pause.timestamp
+            );
 
-        for (const [_, group] of Object.entries(workGroups)) {
-          const { workType, stages } = group;
+            // Work still paused counts up to now, or up to the vehicle's exit
+            const pausedUntil = resumedBy ? resumedBy.timestamp : (vehicle.exitTime || new Date());
+            const durationMs = Math.max(0, Math.min(pausedUntil, end) - pause.timestamp);
+            const reasonCode = pause.pauseReason || UNSPECIFIED_REASON.code;
+
+            totals.byWorkType[pause.workType] = totals.byWorkType[pause.workType] || {};
+            totals.byBay[pause.bayNumber] = totals.byBay[pause.bayNumber] || {};
+            add(totals.byReason, reasonCode, durationMs);
+            add(totals.byWorkType[pause.workType], reasonCode, durationMs);
+            add(totals.byBay[pause.bayNumber], reasonCode, durationMs);
+            totals.totalPausedMs += durationMs;
+            totals.count++;
+          });
+      }
 
-          if (!result[period].byWorkType[workType]) {
-            result[period].byWorkType[workType] = {
-              totalDurationMs: 0,
-              totalPausedDurationMs: 0,
-              totalActiveDurationMs: 0,
-              count: 0,
-              details: []
-            };
-          }
+      const formatReasons = (byCode) => Object.entries(byCode)
+        .map(([code, { pausedMs, count }]) => ({
+          code,
+          label: labelFor(code === UNSPECIFIED_REASON.code ? null : code),
+          count,
+          pausedDuration: formatDuration(pausedMs),
+          pausedMs,
+          share: totals.totalPausedMs > 0 ? Number(((pausedMs / totals.totalPausedMs) * 100).toFixed(1)) : 0
+        }))
+        .sort((a, b) => b.pausedMs - a.pausedMs);
 
-          const starts = stages.filter(s => s.eventType === "Start");
-          starts.forEach(startEvent => {
-            const subsequent = stages.filter(s =>
-              s.timestamp > startEvent.timestamp &&
-              ["Pause", "Resume", "End"].includes(s.eventType)
-            ).sort((a, b) => a.timestamp - b.timestamp);
-
-            let endEvent = null;
-            let lastTime = startEvent.timestamp;
-            let paused = 0;
-            let active = 0;
-            let state = "active";
-
-            for (const e of subsequent) {
-              const duration = e.timestamp - lastTime;
-              if (state === "active") active += duration;
-              else paused += duration;
-
-              if (e.eventType === "Pause") state = "paused";
-              else if (e.eventType === "Resume") state = "active";
-              else if (e.eventType === "End") {
-                endEvent = e;
-                break;
-              }
+      result[period] = {
+        totalPausedDuration: formatDuration(totals.totalPausedMs),
+        pauseCount: totals.count,
+        byReason: formatReasons(totals.byReason),
+        byWorkType: Object.fromEntries(
+          Object.entries(totals.byWorkType).map(([workType, byCode]) => [workType, formatReasons(byCode)])
+        ),
+        byBay: Object.fromEntries(
+          Object.entries(totals.byBay).map(([bay, byCode]) => [bay, formatReasons(byCode)])
+        )
+      };
+    }
 
-              lastTime = e.timestamp;
-            }
+    return res.status(200).json({
+      success: true,
+      message: "Pause reason metrics calculated successfully",
+      data: result
+    });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/pause-reasons:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+});
 
-            if (endEvent) {
-              const total = endEvent.timestamp - startEvent.timestamp;
 
-              const detail = {
-                vehicleNumber: vehicle.vehicleNumber,
-                startTime: startEvent.timestamp,
-                endTime: endEvent.timestamp,
-                duration: formatDuration(total)
-              };
+// ✅ Additional work requests per period: volumes, approval rate, value and turnaround
+router.get("/dashboard/additional-work-metrics", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
+  try {
+    const periods = ["today", "thisWeek", "thisMonth", "lastMonth"];
+    const average = (values) => {
+      const present = values.filter(v => v !== null);
+      return present.length > 0 ? present.reduce((sum, v) => sum + v, 0) / present.length : null;
+    };
+    const formatAverage = (ms) => (ms === null ? null : calculateDuration(0, ms).formatted);
+
+    const data = {};
+    for (const period of periods) {
+      const [start, end] = dateRange(period);
+      const vehicles = await Vehicle.find({ "additionalWork.raisedAt": { $gte: start, $lte: end } })
+        .select("vehicleNumber additionalWork")
+        .lean();
+
+      const requests = vehicles.flatMap(v =>
+        v.additionalWork
+          .filter(r => r.raisedAt >= start && r.raisedAt <= end)
+          .map(r => ({ ...r, vehicleNumber: v.vehicleNumber, durations: requestDurations(r) }))
+      );
 
-              // Update per work type
-              result[period].byWorkType[workType].totalDurationMs += total;
-              result[period].byWorkType[workType].totalPausedDurationMs += paused;
-              result[period].byWorkType[workType].totalActiveDurationMs += active;
-              result[period].byWorkType[workType].count++;
-              result[period].byWorkType[workType].details.push(detail);
-
-              // Update overall
-              result[period].overall.totalDurationMs += total;
-              result[period].overall.totalPausedDurationMs += paused;
-              result[period].overall.totalActiveDurationMs += active;
-              result[period].overall.count++;
-              result[period].overall.details.push(detail);
-            }
-          });
-        }
-      }
+      const decided = requests.filter(r => r.decision);
+      const approved = decided.filter(r => r.decision === "approved");
+
+      data[period] = {
+        raised: requests.length,
+        pending: requests.filter(r => OPEN_STATUSES.includes(r.status)).length,
+        approved: approved.length,
+        declined: decided.length - approved.length,
+        cancelled: requests.filter(r => r.status === "cancelled").length,
+        approvalRate: decided.length > 0 ? Number(((approved.length / decided.length) * 100).toFixed(1)) : null,
+        estimatedValue: requests.reduce((sum, r) => sum + (r.estimateAmount || 0), 0),
+        approvedValue: approved.reduce((sum, r) => sum + (r.estimateAmount || 0), 0),
+        averageRaisedToEstimate: formatAverage(average(requests.map(r => r.durations.raisedToEstimateMs))),
+        averageRaisedToDecision: formatAverage(average(requests.map(r => r.durations.raisedToDecisionMs))),
+        averageEstimateToDecision: formatAverage(average(requests.map(r => r.durations.estimateToDecisionMs))),
+        averageDecisionToResume: formatAverage(average(requests.map(r => r.durations.decisionToResumeMs))),
+        byRaisedRole: requests.reduce((counts, r) => {
+          const role = r.raisedByRole || "Unknown";
+          counts[role] = (counts[role] || 0) + 1;
+          return counts;
+        }, {})
+      };
     }
 
-    // Format final output
-    const formattedResult = {};
-    timePeriods.forEach(period => {
-      const overall = result[period].overall;
-      formattedResult[period] = {
-        byWorkType: {},
-        overall: {
-          totalDuration: formatDuration(overall.totalDurationMs),
-          activeDuration: formatDuration(overall.totalActiveDurationMs),
-          pausedDuration: formatDuration(overall.totalPausedDurationMs),
-          count: overall.count,
-          average: overall.count > 0 ? formatDuration(overall.totalActiveDurationMs / overall.count) : "00:00:00",
-          details: overall.details
-        }
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/additional-work-metrics:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Parts wait per period: average time from request to issue, by work type
+router.get("/dashboard/parts-wait", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
+  try {
+    const periods = ["today", "thisWeek", "thisMonth", "lastMonth"];
+    const summarize = (requests) => {
+      const totalMs = requests.reduce((sum, r) => sum + partsWaitMs(r), 0);
+      return {
+        issued: requests.length,
+        averageWait: requests.length > 0 ? calculateDuration(0, totalMs / requests.length).formatted : null,
+        averageWaitMinutes: requests.length > 0 ? Math.round(totalMs / requests.length / 60000) : null
       };
+    };
 
-      for (const [workType, data] of Object.entries(result[period].byWorkType)) {
-        formattedResult[period].byWorkType[workType] = {
-          totalDuration: formatDuration(data.totalDurationMs),
-          activeDuration: formatDuration(data.totalActiveDurationMs),
-          pausedDuration: formatDuration(data.totalPausedDurationMs),
-          count: data.count,
-          average: data.count > 0 ? formatDuration(data.totalActiveDurationMs / data.count) : "00:00:00",
-          details: data.details
-        };
+    const data = {};
+    for (const period of periods) {
+      const [start, end] = dateRange(period);
+      const vehicles = await Vehicle.find({ "partsRequests.issuedAt": { $gte: start, $lte: end } })
+        .select("partsRequests")
+        .lean();
+
+      const issued = vehicles.flatMap(v =>
+        v.partsRequests.filter(r => r.status === "issued" && r.issuedAt >= start && r.issuedAt <= end)
+      );
+
+      const byWorkType = {};
+      issued.forEach(r => {
+        const workType = r.workType || "Unassigned";
+        (byWorkType[workType] = byWorkType[workType] || []).push(r);
+      });
+
+      data[period] = {
+        ...summarize(issued),
+        blocking: summarize(issued.filter(r => r.isBlocking)),
+        byWorkType: Object.fromEntries(Object.entries(byWorkType).map(([workType, requests]) => [workType, summarize(requests)]))
+      };
+    }
+
+    // Still waiting right now, on vehicles in the workshop
+    const openVehicles = await Vehicle.find({ exitTime: null, "partsRequests.status": { $in: OPEN_PARTS_STATUSES } })
+      .select("partsRequests")
+      .lean();
+    const open = openVehicles.flatMap(v => v.partsRequests.filter(r => OPEN_PARTS_STATUSES.includes(r.status)));
+
+    res.status(200).json({
+      success: true,
+      data,
+      open: {
+        requested: open.filter(r => r.status === "requested").length,
+        backOrdered: open.filter(r => r.status === "backOrdered").length,
+        blocking: open.filter(r => r.isBlocking).length
       }
     });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/parts-wait:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
 
-    return res.status(200).json({
+// Exceptions recorded between start and end, newest first
+const findExceptions = async (start, end) => {
+  const vehicles = await Vehicle.find(exceptionQuery(start, end)).select("vehicleNumber stages").lean();
+  return vehicles
+    .flatMap(visitExceptions)
+    .filter(e => e.timestamp >= start && e.timestamp <= end)
+    .sort((a, b) => b.timestamp - a.timestamp);
+};
+
+// ✅ Process exceptions (skipped prerequisites, overruns, bay conflicts, auto-closed Bay Work)
+router.get("/dashboard/exceptions", authMiddleware, requirePermission("exceptions:view"), async (req, res) => {
+  try {
+    const { period = "last7Days", startDate, endDate, type, userId, stageName } = req.query;
+
+    let [start, end] = dateRange(period);
+    if (startDate || endDate) {
+      start = startDate ? new Date(startDate) : new Date(0);
+      end = endDate ? new Date(endDate) : new Date();
+    }
+    if (!start || isNaN(start.getTime()) || isNaN(end.getTime())) {
+      return res.status(400).json({ success: false, message: "Invalid period or date range." });
+    }
+    if (type && !EXCEPTION_TYPES.includes(type)) {
+      return res.status(400).json({ success: false, message: `type must be one of ${EXCEPTION_TYPES.join(", ")}.` });
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const exceptions = (await findExceptions(start, end)).filter(e =>
+      (!type || e.type === type) &&
+      (!userId || (e.user && String(e.user.userId) === userId)) &&
+      (!stageName || e.baseStageName === stageName)
+    );
+
+    res.status(200).json({
       success: true,
-      message: "Bay Work metrics calculated successfully",
-      data: formattedResult
+      range: { start, end },
+      total: exceptions.length,
+      page,
+      limit,
+      exceptions: exceptions.slice((page - 1) * limit, page * limit)
     });
-
   } catch (error) {
-    console.error("❌ Error in /dashboard/bay-work-metrics:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message
-    });
+    console.error("❌ Error in /dashboard/exceptions:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
   }
 });
 
+// ✅ Exception counts per period, by type, user and stage
+router.get("/dashboard/exception-counts", authMiddleware, requirePermission("exceptions:view"), async (req, res) => {
+  try {
+    const periods = ["today", "thisWeek", "thisMonth", "lastMonth"];
+
+    const data = {};
+    for (const period of periods) {
+      const [start, end] = dateRange(period);
+      const exceptions = await findExceptions(start, end);
+
+      const byType = Object.fromEntries(EXCEPTION_TYPES.map(t => [t, 0]));
+      const byStage = {};
+      const byUser = {};
+      exceptions.forEach(e => {
+        byType[e.type] = (byType[e.type] || 0) + 1;
+        byStage[e.baseStageName] = (byStage[e.baseStageName] || 0) + 1;
+
+        const key = e.user ? String(e.user.userId) : "unknown";
+        if (!byUser[key]) {
+          byUser[key] = { userId: e.user ? e.user.userId : null, userName: e.user ? e.user.userName : "Unknown", total: 0, byType: {} };
+        }
+        byUser[key].total++;
+        byUser[key].byType[e.type] = (byUser[key].byType[e.type] || 0) + 1;
+      });
+
+      data[period] = {
+        total: exceptions.length,
+        byType,
+        byStage,
+        byUser: Object.values(byUser).sort((a, b) => b.total - a.total)
+      };
+    }
+
+    res.status(200).json({ success: true, data });
+  } catch (error) {
+    console.error("❌ Error in /dashboard/exception-counts:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
 
-router.get('/dashboard/live-status', authMiddleware, async (req, res) => {
+router.get('/dashboard/live-status', authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     // Helper functions for formatting
     const formatToIST = (date) => {
@@ -840,12 +1167,12 @@ router.get('/dashboard/live-status', authMiddleware, async (req, res) => {
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
 
     // 1. Get all active vehicles (all time)
-    const allTimeActiveVehicles = await Vehicle.find({ exitTime: null });
+    const allTimeActiveVehicles = excludeVoidedStages(await Vehicle.find({ exitTime: null }));
 
     // 2. Get today's vehicles (regardless of active status)
-    const todaysVehicles = await Vehicle.find({
+    const todaysVehicles = excludeVoidedStages(await Vehicle.find({
       entryTime: { $gte: startOfToday }
-    }).sort({ entryTime: -1 });
+    }).sort({ entryTime: -1 }));
 
     // Process stage data for all active vehicles
     const stageMap = {};
@@ -910,6 +1237,7 @@ router.get('/dashboard/live-status', authMiddleware, async (req, res) => {
         count: allTimeActiveVehicles.length,
         vehicles: allTimeActiveVehicles.map(v => ({
           vehicleNumber: v.vehicleNumber,
+          ...visitSummary(v),
           entryTime: formatToIST(v.entryTime),
           lastStage: vehicleStageInfo[v.vehicleNumber]?.lastStage || null,
           duration: formatDuration(now - v.entryTime),
@@ -922,6 +1250,7 @@ router.get('/dashboard/live-status', authMiddleware, async (req, res) => {
         completedCount: todaysVehicles.filter(v => v.exitTime).length,
         vehicles: todaysVehicles.map(v => ({
           vehicleNumber: v.vehicleNumber,
+          ...visitSummary(v),
           entryTime: formatToIST(v.entryTime),
           exitTime: v.exitTime ? formatToIST(v.exitTime) : null,
           isActive: !v.exitTime,
@@ -954,7 +1283,7 @@ router.get('/dashboard/live-status', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/dashboard/all-time-active', authMiddleware, async (req, res) => {
+router.get('/dashboard/all-time-active', authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     // Helper functions
     const formatToIST = (date) => {
@@ -979,7 +1308,7 @@ router.get('/dashboard/all-time-active', authMiddleware, async (req, res) => {
     };
 
     const now = new Date();
-    const allTimeActiveVehicles = await Vehicle.find({ exitTime: null }).sort({ entryTime: -1 });
+    const allTimeActiveVehicles = excludeVoidedStages(await Vehicle.find({ exitTime: null }).sort({ entryTime: -1 }));
 
     // Process stage data
     const vehicleStageInfo = {};
@@ -1030,6 +1359,7 @@ router.get('/dashboard/all-time-active', authMiddleware, async (req, res) => {
       count: allTimeActiveVehicles.length,
       vehicles: allTimeActiveVehicles.map(v => ({
         vehicleNumber: v.vehicleNumber,
+        ...visitSummary(v),
         entryTime: formatToIST(v.entryTime),
         lastStage: vehicleStageInfo[v.vehicleNumber]?.lastStage || null,
         duration: formatDuration(now - v.entryTime),
@@ -1054,7 +1384,7 @@ router.get('/dashboard/all-time-active', authMiddleware, async (req, res) => {
   }
 });
 
-router.get('/dashboard/todays-vehicles', authMiddleware, async (req, res) => {
+router.get('/dashboard/todays-vehicles', authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     // Helper functions
     const formatToIST = (date) => {
@@ -1081,9 +1411,9 @@ router.get('/dashboard/todays-vehicles', authMiddleware, async (req, res) => {
     const now = new Date();
     const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
     
-    const todaysVehicles = await Vehicle.find({
+    const todaysVehicles = excludeVoidedStages(await Vehicle.find({
       entryTime: { $gte: startOfToday }
-    }).sort({ entryTime: -1 });
+    }).sort({ entryTime: -1 }));
 
     // Process vehicle data
     const processedVehicles = todaysVehicles.map(v => {
@@ -1099,6 +1429,7 @@ router.get('/dashboard/todays-vehicles', authMiddleware, async (req, res) => {
 
       return {
         vehicleNumber: v.vehicleNumber,
+        ...visitSummary(v),
         entryTime: formatToIST(v.entryTime),
         exitTime: v.exitTime ? formatToIST(v.exitTime) : null,
         isActive: !v.exitTime,
@@ -1137,7 +1468,7 @@ router.get('/dashboard/todays-vehicles', authMiddleware, async (req, res) => {
   }
 });
 //correct hai ye
-router.get("/dashboard/stage-live-status", authMiddleware, async (req, res) => {
+router.get("/dashboard/stage-live-status", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const {
       startDate,
@@ -1164,9 +1495,9 @@ router.get("/dashboard/stage-live-status", authMiddleware, async (req, res) => {
 
     const format = (date) => new Date(date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' });
 
-    const vehicles = await Vehicle.find({
+    const vehicles = excludeVoidedStages(await Vehicle.find({
       entryTime: { $gte: start, $lte: end }
-    });
+    }));
 
     const result = {};
 
@@ -1337,7 +1668,7 @@ const sortByStageOrder = (obj) => {
 };
 
 // Main dashboard route
-router.get("/dashboard/metrics", authMiddleware, async (req, res) => {
+router.get("/dashboard/metrics", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
     const { metricType = "all" } = req.query;
     const result = {};
@@ -1416,10 +1747,10 @@ async function calculateStageAverages(dateRanges, timePeriods) {
   for (const period of timePeriods) {
     const { start, end } = dateRanges[period];
 
-    const vehicles = await Vehicle.find({
+    const vehicles = excludeVoidedStages(await Vehicle.find({
       "stages.timestamp": { $gte: start, $lte: end },
       "stages.stageName": { $in: trackedStages }
-    });
+    }));
 
     for (const vehicle of vehicles) {
       trackedStages.forEach(stageName => {
@@ -1498,17 +1829,22 @@ async function calculateSpecialStageAverages(dateRanges, timePeriods) {
   for (const period of timePeriods) {
     const { start, end } = dateRanges[period];
 
-    const vehicles = await Vehicle.find({
-      "stages.timestamp": { $gte: start, $lte: end },
-      "stages.stageName": {
-        $in: [
-          ...specialStages,
-          "Job Card Received + Bay Allocation",
-          "Bay Work",
-          "Washing"
-        ]
-      }
-    });
+    const vehicles = excludeVoidedStages(await Vehicle.find({
+      $or: [
+        {
+          "stages.timestamp": { $gte: start, $lte: end },
+          "stages.stageName": {
+            $in: [
+              ...specialStages,
+              "Job Card Received + Bay Allocation",
+              "Bay Work",
+              "Washing"
+            ]
+          }
+        },
+        { "additionalWork.decidedAt": { $gte: start, $lte: end } }
+      ]
+    }));
 
     vehicles.forEach(vehicle => {
       const vehicleStages = vehicle.stages
@@ -1542,31 +1878,50 @@ async function calculateSpecialStageAverages(dateRanges, timePeriods) {
         }
       });
 
-      // Additional Work Job Approval
-      const additionalApprovalStarts = vehicleStages.filter(
-        s => s.stageName.startsWith("Additional Work Job Approval") && s.eventType === "Start"
-      );
-
-      additionalApprovalStarts.forEach(startEvent => {
-        const subsequentBayAllocations = vehicleStages.filter(s =>
-          s.stageName.startsWith("Job Card Received + Bay Allocation") &&
-          s.eventType === "Start" &&
-          s.timestamp > startEvent.timestamp
+      // Additional Work Job Approval: raised -> customer decision, from the request records.
+      // Visits from before requests were recorded fall back to the scan-based estimate.
+      if (vehicle.additionalWork && vehicle.additionalWork.length > 0) {
+        vehicle.additionalWork
+          .filter(request => request.decidedAt && request.decidedAt >= start && request.decidedAt <= end)
+          .forEach(request => {
+            const duration = requestDurations(request).raisedToDecisionMs;
+            result[period]["Additional Work Job Approval"].totalDurationMs += duration;
+            result[period]["Additional Work Job Approval"].count++;
+            result[period]["Additional Work Job Approval"].details.push({
+              vehicleNumber,
+              request: request.number,
+              decision: request.decision,
+              startTime: request.raisedAt,
+              endTime: request.decidedAt,
+              duration: utils.formatDuration(duration)
+            });
+          });
+      } else {
+        const additionalApprovalStarts = vehicleStages.filter(
+          s => s.stageName.startsWith("Additional Work Job Approval") && s.eventType === "Start"
         );
 
-        if (subsequentBayAllocations.length >= 2) {
-          const endEvent = subsequentBayAllocations[1];
-          const duration = endEvent.timestamp - startEvent.timestamp;
-          result[period]["Additional Work Job Approval"].totalDurationMs += duration;
-          result[period]["Additional Work Job Approval"].count++;
-          result[period]["Additional Work Job Approval"].details.push({
-            vehicleNumber,
-            startTime: startEvent.timestamp,
-            endTime: endEvent.timestamp,
-            duration: utils.formatDuration(duration)
-          });
-        }
-      });
+        additionalApprovalStarts.forEach(startEvent => {
+          const subsequentBayAllocations = vehicleStages.filter(s =>
+            s.stageName.startsWith("Job Card Received + Bay Allocation") &&
+            s.eventType === "Start" &&
+            s.timestamp > startEvent.timestamp
+          );
+
+          if (subsequentBayAllocations.length >= 2) {
+            const endEvent = subsequentBayAllocations[1];
+            const duration = endEvent.timestamp - startEvent.timestamp;
+            result[period]["Additional Work Job Approval"].totalDurationMs += duration;
+            result[period]["Additional Work Job Approval"].count++;
+            result[period]["Additional Work Job Approval"].details.push({
+              vehicleNumber,
+              startTime: startEvent.timestamp,
+              endTime: endEvent.timestamp,
+              duration: utils.formatDuration(duration)
+            });
+          }
+        });
+      }
 
       // Ready for Washing
       const washingReadyStarts = vehicleStages.filter(
@@ -1657,9 +2012,9 @@ async function calculateJobCardReceivedMetrics(dateRanges, timePeriods) {
 
   for (const period of timePeriods) {
     const { start, end } = dateRanges[period];
-    const vehicles = await Vehicle.find({
+    const vehicles = excludeVoidedStages(await Vehicle.find({
       "stages.timestamp": { $gte: start, $lte: end }
-    });
+    }));
 
     for (const vehicle of vehicles) {
       const vehicleStages = vehicle.stages.filter(
@@ -1769,6 +2124,7 @@ async function calculateJobCardReceivedMetrics(dateRanges, timePeriods) {
   return formattedResult;
 }
 
+// Bay Work durations and technician labour per period; shared by /dashboard/bay-work-metrics and /dashboard/metrics
 async function calculateBayWorkMetrics(dateRanges, timePeriods) {
   const result = {};
   timePeriods.forEach(period => {
@@ -1778,19 +2134,21 @@ async function calculateBayWorkMetrics(dateRanges, timePeriods) {
         totalDurationMs: 0,
         totalPausedDurationMs: 0,
         totalActiveDurationMs: 0,
+        totalLabourMs: 0,
         count: 0,
         details: []
-      }
+      },
+      byTechnician: {}
     };
   });
 
   for (const period of timePeriods) {
     const { start, end } = dateRanges[period];
 
-    const vehicles = await Vehicle.find({
+    const vehicles = excludeVoidedStages(await Vehicle.find({
       "stages.timestamp": { $gte: start, $lte: end },
       "stages.stageName": { $regex: /^Bay Work:/ }
-    });
+    }));
 
     for (const vehicle of vehicles) {
       const bayWorkStages = vehicle.stages
@@ -1816,6 +2174,7 @@ async function calculateBayWorkMetrics(dateRanges, timePeriods) {
             totalDurationMs: 0,
             totalPausedDurationMs: 0,
             totalActiveDurationMs: 0,
+            totalLabourMs: 0,
             count: 0,
             details: []
           };
@@ -1852,17 +2211,37 @@ async function calculateBayWorkMetrics(dateRanges, timePeriods) {
           if (endEvent) {
             const total = endEvent.timestamp - startEvent.timestamp;
 
+            // Labour is technician time; a job with two technicians books two hours per bay hour
+            const labour = calculateJobLabour(
+              vehicle,
+              startEvent,
+              subsequent.filter(e => e.timestamp <= endEvent.timestamp),
+              endEvent.timestamp
+            );
+
             const detail = {
               vehicleNumber: vehicle.vehicleNumber,
               startTime: startEvent.timestamp,
               endTime: endEvent.timestamp,
-              duration: utils.formatDuration(total)
+              duration: utils.formatDuration(total),
+              labourDuration: utils.formatDuration(labour.labourMs),
+              technicians: labour.technicians.map(t => ({ userName: t.userName, duration: utils.formatDuration(t.activeMs) }))
             };
 
+            labour.technicians.forEach(t => {
+              const key = String(t.userId);
+              if (!result[period].byTechnician[key]) {
+                result[period].byTechnician[key] = { userName: t.userName, labourMs: 0, jobs: 0 };
+              }
+              result[period].byTechnician[key].labourMs += t.activeMs;
+              result[period].byTechnician[key].jobs++;
+            });
+
             // Update per work type
             result[period].byWorkType[workType].totalDurationMs += total;
             result[period].byWorkType[workType].totalPausedDurationMs += paused;
             result[period].byWorkType[workType].totalActiveDurationMs += active;
+            result[period].byWorkType[workType].totalLabourMs += labour.labourMs;
             result[period].byWorkType[workType].count++;
             result[period].byWorkType[workType].details.push(detail);
 
@@ -1870,6 +2249,7 @@ async function calculateBayWorkMetrics(dateRanges, timePeriods) {
             result[period].overall.totalDurationMs += total;
             result[period].overall.totalPausedDurationMs += paused;
             result[period].overall.totalActiveDurationMs += active;
+            result[period].overall.totalLabourMs += labour.labourMs;
             result[period].overall.count++;
             result[period].overall.details.push(detail);
           }
@@ -1888,37 +2268,46 @@ async function calculateBayWorkMetrics(dateRanges, timePeriods) {
         totalDuration: utils.formatDuration(overall.totalDurationMs),
         activeDuration: utils.formatDuration(overall.totalActiveDurationMs),
         pausedDuration: utils.formatDuration(overall.totalPausedDurationMs),
+        labourDuration: utils.formatDuration(overall.totalLabourMs),
+        labourHours: Number((overall.totalLabourMs / 3600000).toFixed(2)),
         count: overall.count,
         average: overall.count > 0 ? utils.formatDuration(overall.totalActiveDurationMs / overall.count) : "00:00:00",
+        averageLabour: overall.count > 0 ? utils.formatDuration(overall.totalLabourMs / overall.count) : "00:00:00",
         details: overall.details
-      }
+      },
+      byTechnician: Object.values(result[period].byTechnician).map(t => ({
+        userName: t.userName,
+        jobs: t.jobs,
+        labourDuration: utils.formatDuration(t.labourMs),
+        labourHours: Number((t.labourMs / 3600000).toFixed(2))
+      }))
     };
 
-    // Sort work types based on predefined order if applicable
-    const workTypes = Object.keys(result[period].byWorkType);
-    const sortedWorkTypes = workTypes.sort(); // Simple alphabetical sort for work types
-    
-    sortedWorkTypes.forEach(workType => {
-      const data = result[period].byWorkType[workType];
+    for (const [workType, data] of Object.entries(result[period].byWorkType)) {
       formattedResult[period].byWorkType[workType] = {
         totalDuration: utils.formatDuration(data.totalDurationMs),
         activeDuration: utils.formatDuration(data.totalActiveDurationMs),
         pausedDuration: utils.formatDuration(data.totalPausedDurationMs),
+        labourDuration: utils.formatDuration(data.totalLabourMs),
+        labourHours: Number((data.totalLabourMs / 3600000).toFixed(2)),
         count: data.count,
         average: data.count > 0 ? utils.formatDuration(data.totalActiveDurationMs / data.count) : "00:00:00",
+        averageLabour: data.count > 0 ? utils.formatDuration(data.totalLabourMs / data.count) : "00:00:00",
         details: data.details
       };
-    });
+    }
   });
 
   return formattedResult;
 }
 
-router.get("/active-stages-with-duration", authMiddleware, async (req, res) => {
+router.get("/active-stages-with-duration", authMiddleware, requirePermission("dashboard:view"), async (req, res) => {
   try {
-    const activeVehicles = await Vehicle.find({ exitTime: null })
-      .sort({ entryTime: -1 })
-      .lean();
+    const activeVehicles = excludeVoidedStages(
+      await Vehicle.find({ exitTime: null })
+        .sort({ entryTime: -1 })
+        .lean()
+    );
 
     const now = new Date();
     
@@ -2031,6 +2420,7 @@ router.get("/active-stages-with-duration", authMiddleware, async (req, res) => {
 
       return {
         vehicleNumber: vehicle.vehicleNumber,
+        ...visitSummary(vehicle),
         entryTime: vehicle.entryTime,
         activeStages,
         totalActiveStages: activeStages.length
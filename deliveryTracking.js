@@ -0,0 +1,141 @@
+const Vehicle = require("./models/vehicle");
+const { getActiveWorkflow, belongsToStage } = require("./workflowEngine");
+
+// Completed visits used to estimate how long the rest of a visit usually takes
+const HISTORY_DAYS = 30;
+
+// Sets or revises the promised delivery time. Every change after the first is kept
+// with its reason so on-time performance can also be measured against the first promise.
+const setPromisedDelivery = (vehicle, promisedAt, actor, reason = null, at = new Date()) => {
+  const current = vehicle.promisedDeliveryAt;
+  if (current && promisedAt && current.getTime() === promisedAt.getTime()) return false;
+
+  if (current) {
+    vehicle.promisedDeliveryRevisions.push({
+      from: current,
+      to: promisedAt,
+      reason,
+      revisedBy: { userId: actor.userId, userName: actor.userName },
+      revisedAt: at
+    });
+  } else if (!vehicle.originalPromisedDeliveryAt) {
+    vehicle.originalPromisedDeliveryAt = promisedAt;
+  }
+
+  vehicle.promisedDeliveryAt = promisedAt;
+  return true;
+};
+
+// Delivered visits with a promise: how many left by the promised time
+const onTimeStats = (vehicles) => {
+  const delivered = vehicles.filter(v => v.exitTime && v.promisedDeliveryAt);
+  const onTime = delivered.filter(v => v.exitTime <= v.promisedDeliveryAt).length;
+  const onOriginalPromise = delivered.filter(v =>
+    v.exitTime <= (v.originalPromisedDeliveryAt || v.promisedDeliveryAt)
+  ).length;
+
+  const percent = (count) => delivered.length > 0 ? Number(((count / delivered.length) * 100).toFixed(1)) : null;
+  return {
+    delivered: delivered.length,
+    onTime,
+    late: delivered.length - onTime,
+    onTimePercentage: percent(onTime),
+    onOriginalPromisePercentage: percent(onOriginalPromise)
+  };
+};
+
+// Workflow stages in process order, without the gate
+const progressStages = (workflow) => workflow.stages.filter(s => !s.gate && s.stageName !== "*");
+
+// Index (in workflow order) of the furthest stage the visit has started, or -1
+const furthestStageIndex = (vehicle, stages) => {
+  let furthest = -1;
+  stages.forEach((definition, index) => {
+    const started = vehicle.stages.some(s =>
+      !s.voided && s.eventType === "Start" && belongsToStage(s.stageName, definition.stageName, definition.numbering)
+    );
+    if (started) furthest = index;
+  });
+  return furthest;
+};
+
+const firstStartOf = (vehicle, definition) => vehicle.stages
+  .filter(s => !s.voided && s.eventType === "Start" && belongsToStage(s.stageName, definition.stageName, definition.numbering))
+  .sort((a, b) => a.timestamp - b.timestamp)[0] || null;
+
+/**
+ * Average time from reaching each stage to leaving the workshop, over recent
+ * completed visits. Index -1 is the whole visit, from entry to exit.
+ */
+const typicalRemainingByStage = async (workflow) => {
+  const stages = progressStages(workflow);
+  const since = new Date(Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+  const vehicles = await Vehicle.find({ exitTime: { $gte: since } }).select("entryTime exitTime stages").lean();
+
+  const sums = {};
+  const add = (index, ms) => {
+    if (!sums[index]) sums[index] = { total: 0, count: 0 };
+    sums[index].total += ms;
+    sums[index].count++;
+  };
+
+  vehicles.forEach(vehicle => {
+    add(-1, vehicle.exitTime - vehicle.entryTime);
+    stages.forEach((definition, index) => {
+      const start = firstStartOf(vehicle, definition);
+      if (start && start.timestamp <= vehicle.exitTime) add(index, vehicle.exitTime - start.timestamp);
+    });
+  });
+
+  const typical = {};
+  Object.entries(sums).forEach(([index, { total, count }]) => { typical[index] = total / count; });
+  return { stages, typical, sampleSize: vehicles.length };
+};
+
+/**
+ * Ranks active visits with a promised delivery time by slack: time left before
+ * the promise minus the typical time still needed from the stage they have reached.
+ */
+const assessDeliveryRisk = async (now = new Date()) => {
+  const workflow = await getActiveWorkflow();
+  const { stages, typical, sampleSize } = await typicalRemainingByStage(workflow);
+
+  const vehicles = await Vehicle.find({ exitTime: null, promisedDeliveryAt: { $ne: null } }).lean();
+
+  const assessed = vehicles.map(vehicle => {
+    const index = furthestStageIndex(vehicle, stages);
+    // Fall back to the whole-visit average when no visit has data for this stage yet
+    const hasStageHistory = index >= 0 && typical[index] !== undefined;
+    const typicalFromStage = hasStageHistory ? typical[index] : typical[-1];
+    const reachedAt = hasStageHistory ? firstStartOf(vehicle, stages[index]).timestamp : vehicle.entryTime;
+
+    const expectedRemainingMs = typicalFromStage !== undefined
+      ? Math.max(0, typicalFromStage - (now - reachedAt))
+      : 0;
+    const timeLeftMs = vehicle.promisedDeliveryAt - now;
+    const slackMs = timeLeftMs - expectedRemainingMs;
+
+    return {
+      vehicleId: vehicle._id,
+      vehicleNumber: vehicle.vehicleNumber,
+      jobCardNumber: vehicle.jobCardNumber || null,
+      customerName: vehicle.customerName || null,
+      serviceAdvisor: vehicle.serviceAdvisor ? vehicle.serviceAdvisor.userName : null,
+      promisedDeliveryAt: vehicle.promisedDeliveryAt,
+      revisions: (vehicle.promisedDeliveryRevisions || []).length,
+      currentStage: index >= 0 ? stages[index].stageName : null,
+      timeLeftMs,
+      expectedRemainingMs,
+      slackMs,
+      status: timeLeftMs < 0 ? "overdue" : slackMs < 0 ? "atRisk" : "onTrack"
+    };
+  });
+
+  return { vehicles: assessed.sort((a, b) => a.slackMs - b.slackMs), sampleSize };
+};
+
+module.exports = {
+  setPromisedDelivery,
+  onTimeStats,
+  assessDeliveryRisk
+};
@@ -0,0 +1,114 @@
+const LoginAttempt = require("./models/loginAttempt");
+
+// Failures are counted over a rolling window. Past the backoff threshold each
+// further attempt must wait twice as long as the previous one; at the lockout
+// threshold the account is locked until it expires or an Admin unlocks it.
+const WINDOW_MS = 15 * 60 * 1000;
+const BASE_DELAY_MS = 2 * 1000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+
+const MOBILE_BACKOFF_AFTER = 3;
+const MOBILE_LOCKOUT_AFTER = 10;
+const LOCKOUT_MS = 30 * 60 * 1000;
+
+// The workshop shares one public IP, so the per-IP limits are deliberately loose
+const IP_BACKOFF_AFTER = 20;
+const IP_BLOCK_AFTER = 100;
+
+const backoffDelay = (failures, threshold) =>
+  failures < threshold ? 0 : Math.min(BASE_DELAY_MS * 2 ** (failures - threshold), MAX_DELAY_MS);
+
+const recentFailures = async (query, since) => {
+  const failures = await LoginAttempt.find({
+    ...query,
+    success: false,
+    reason: "invalid_credentials",
+    createdAt: { $gte: since }
+  })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  return { count: failures.length, lastAt: failures[0]?.createdAt || null };
+};
+
+// Failures for a mobile only count since its last success or Admin unlock
+const mobileFailureWindowStart = (user) => {
+  const windowStart = new Date(Date.now() - WINDOW_MS);
+  const resetAt = user?.loginFailuresResetAt;
+  return resetAt && resetAt > windowStart ? resetAt : windowStart;
+};
+
+const isLocked = (user) => Boolean(user?.lockedUntil && user.lockedUntil > new Date());
+
+// Returns { allowed, retryAfterMs, reason } before the password is checked
+const checkLoginThrottle = async ({ mobile, ip, user }) => {
+  if (isLocked(user)) {
+    return { allowed: false, reason: "locked", retryAfterMs: user.lockedUntil - Date.now() };
+  }
+
+  const now = Date.now();
+
+  if (ip) {
+    const ipFailures = await recentFailures({ ip }, new Date(now - WINDOW_MS));
+    if (ipFailures.count >= IP_BLOCK_AFTER) {
+      return { allowed: false, reason: "throttled", retryAfterMs: ipFailures.lastAt.getTime() + WINDOW_MS - now };
+    }
+    const ipWait = ipFailures.lastAt
+      ? ipFailures.lastAt.getTime() + backoffDelay(ipFailures.count, IP_BACKOFF_AFTER) - now
+      : 0;
+    if (ipWait > 0) {
+      return { allowed: false, reason: "throttled", retryAfterMs: ipWait };
+    }
+  }
+
+  const mobileFailures = await recentFailures({ mobile }, mobileFailureWindowStart(user));
+  const mobileWait = mobileFailures.lastAt
+    ? mobileFailures.lastAt.getTime() + backoffDelay(mobileFailures.count, MOBILE_BACKOFF_AFTER) - now
+    : 0;
+  if (mobileWait > 0) {
+    return { allowed: false, reason: "throttled", retryAfterMs: mobileWait };
+  }
+
+  return { allowed: true, reason: null, retryAfterMs: 0 };
+};
+
+const recordLoginAttempt = ({ req, mobile, user = null, success, reason, method = "password" }) =>
+  LoginAttempt.create({
+    mobile,
+    userId: user?._id || null,
+    ip: req.ip || null,
+    userAgent: req.get("user-agent") || null,
+    method,
+    success,
+    reason
+  });
+
+// After a failed password: locks the account once the mobile crosses the threshold.
+// Returns the lock expiry when the account was just locked.
+const registerLoginFailure = async (user) => {
+  if (!user) return null;
+
+  const failures = await recentFailures({ mobile: user.mobile }, mobileFailureWindowStart(user));
+  if (failures.count < MOBILE_LOCKOUT_AFTER) return null;
+
+  user.lockedUntil = new Date(Date.now() + LOCKOUT_MS);
+  await user.save();
+  console.log(`🔒 Locked ${user.mobile} after ${failures.count} failed logins`);
+  return user.lockedUntil;
+};
+
+const resetLoginFailures = async (user) => {
+  user.lockedUntil = null;
+  user.loginFailuresResetAt = new Date();
+  await user.save();
+};
+
+module.exports = {
+  MOBILE_LOCKOUT_AFTER,
+  checkLoginThrottle,
+  recordLoginAttempt,
+  registerLoginFailure,
+  resetLoginFailures,
+  isLocked
+};
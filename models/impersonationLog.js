@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+const identitySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  userName: { type: String, required: true },
+  role: { type: String, required: true }
+}, { _id: false });
+
+// One entry per login-as session: who acted as whom, and for how long
+const impersonationLogSchema = new mongoose.Schema({
+  actor: { type: identitySchema, required: true },
+  target: { type: identitySchema, required: true },
+  sessionId: { type: mongoose.Schema.Types.ObjectId, ref: "Session", required: true, index: true },
+  reason: { type: String, default: null },
+  startedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  endedAt: { type: Date, default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null }
+});
+
+impersonationLogSchema.index({ "actor.userId": 1, startedAt: -1 });
+impersonationLogSchema.index({ "target.userId": 1, startedAt: -1 });
+
+const ImpersonationLog = mongoose.model("ImpersonationLog", impersonationLogSchema);
+module.exports = ImpersonationLog;
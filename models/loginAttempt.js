@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// Every login attempt, successful or not. Drives throttling in loginThrottle.js
+// and the suspicious-activity views for managers.
+const loginAttemptSchema = new mongoose.Schema({
+  mobile: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+  ip: { type: String, default: null },
+  userAgent: { type: String, default: null },
+  method: { type: String, enum: ["password", "otp"], default: "password" },
+  success: { type: Boolean, required: true },
+  reason: {
+    type: String,
+    enum: ["success", "invalid_credentials", "not_approved", "deactivated", "throttled", "locked"],
+    required: true
+  },
+  createdAt: { type: Date, default: Date.now }
+});
+
+loginAttemptSchema.index({ mobile: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+// Keep 90 days of login history
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+const LoginAttempt = mongoose.model("LoginAttempt", loginAttemptSchema);
+module.exports = LoginAttempt;
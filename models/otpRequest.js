@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// One-time login codes sent by SMS; only an HMAC of the code is stored
+const otpRequestSchema = new mongoose.Schema({
+  mobile: { type: String, required: true },
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  codeHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true },
+  attempts: { type: Number, default: 0 },
+  consumedAt: { type: Date, default: null },
+  ip: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now }
+});
+
+otpRequestSchema.index({ mobile: 1, createdAt: -1 });
+otpRequestSchema.index({ ip: 1, createdAt: -1 });
+// Remove codes a day after they were issued
+otpRequestSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+const OtpRequest = mongoose.model("OtpRequest", otpRequestSchema);
+module.exports = OtpRequest;
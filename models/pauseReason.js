@@ -0,0 +1,16 @@
+const mongoose = require("mongoose");
+
+// Admin additions and overrides of the default pause reasons in pauseReasons.js, one document per code
+const pauseReasonSchema = new mongoose.Schema(
+  {
+    code: { type: String, required: true, unique: true, trim: true },
+    label: { type: String, required: true, trim: true },
+    isActive: { type: Boolean, default: true },
+    sortOrder: { type: Number, default: 100 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+const PauseReason = mongoose.model("PauseReason", pauseReasonSchema);
+module.exports = PauseReason;
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+const { allowedRoles } = require("./user");
+
+// Admin overrides of the default permission matrix in permissions.js, one document per role
+const stagePermissionSchema = new mongoose.Schema({
+  stageName: { type: String, required: true }, // "*" matches every stage
+  eventTypes: [{ type: String, enum: ["Start", "End", "Pause", "Resume"] }]
+}, { _id: false });
+
+const rolePermissionSchema = new mongoose.Schema(
+  {
+    role: { type: String, enum: allowedRoles, required: true, unique: true },
+    stages: [stagePermissionSchema],
+    actions: [{ type: String }],
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+const RolePermission = mongoose.model("RolePermission", rolePermissionSchema);
+module.exports = RolePermission;
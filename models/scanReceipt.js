@@ -0,0 +1,23 @@
+const mongoose = require("mongoose");
+
+// Remembers scans sent with a client-generated idempotency key so a re-sent scan
+// returns the original result instead of being recorded twice
+const scanReceiptSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  idempotencyKey: { type: String, required: true },
+  status: { type: String, enum: ["pending", "accepted"], default: "pending" },
+  vehicleId: { type: mongoose.Schema.Types.ObjectId, ref: "Vehicle", default: null },
+  stageId: { type: mongoose.Schema.Types.ObjectId, default: null },
+  httpStatus: { type: Number, default: null },
+  message: { type: String, default: null },
+  stageName: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true }
+});
+
+// Keys are generated per device, so they only need to be unique per user
+scanReceiptSchema.index({ userId: 1, idempotencyKey: 1 }, { unique: true });
+scanReceiptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const ScanReceipt = mongoose.model("ScanReceipt", scanReceiptSchema);
+module.exports = ScanReceipt;
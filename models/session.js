@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// One document per login. Access tokens carry the session id (sid) so a
+// revoked session invalidates every token issued for it.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    refreshTokenHash: { type: String, default: null },
+    previousRefreshTokenHash: { type: String, default: null }, // Detects reuse of a rotated refresh token
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    revokedReason: { type: String, default: null },
+    impersonatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }, // Real actor behind a login-as session
+    userAgent: { type: String, default: null },
+    ip: { type: String, default: null }
+  },
+  { timestamps: true }
+);
+
+// Drop expired sessions a week after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
@@ -0,0 +1,26 @@
+const mongoose = require("mongoose");
+
+// A fixed scanning device (gate tablet, washing bay tablet, ...). It authenticates
+// with its own long-lived key and may only record the stages listed here; the
+// person scanning is identified per event by badge number and PIN.
+const stationStageSchema = new mongoose.Schema({
+  stageName: { type: String, required: true }, // Exact name or prefix, "*" for any
+  eventTypes: [{ type: String, enum: ["Start", "End", "Pause", "Resume"] }]
+}, { _id: false });
+
+const stationSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    location: { type: String, default: null },
+    allowedStages: [stationStageSchema],
+    keyHash: { type: String, required: true },
+    isActive: { type: Boolean, default: true },
+    lastSeenAt: { type: Date, default: null },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    keyRotatedAt: { type: Date, default: Date.now }
+  },
+  { timestamps: true }
+);
+
+const Station = mongoose.model("Station", stationSchema);
+module.exports = Station;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const bcrypt = require("bcryptjs");
+
+// List of allowed roles
+const allowedRoles = [
+  "Admin",
+  "Workshop Manager",
+  "Security Guard",
+  "Active Reception Technician",
+  "Service Advisor",
+  "Job Controller",
+  "Bay Technician",
+  "Final Inspection Technician",
+  "Diagnosis Engineer",
+  "Washing",
+  "Parts Team",
+];
+
+const UserSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true },
+    mobile: { type: String, unique: true, required: true },
+    email: { type: String, sparse: true, default: null },
+    password: { type: String, required: true }, // bcrypt hash (legacy accounts may still hold plain text until next login)
+    role: { type: String, enum: allowedRoles, required: true },
+    isApproved: { type: Boolean, default: false },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    approvedAt: { type: Date, default: null },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    rejectedAt: { type: Date, default: null },
+    rejectionReason: { type: String, default: null },
+    // Deactivated users keep their record (stage history points at it) but cannot log in
+    isActive: { type: Boolean, default: true },
+    deactivatedAt: { type: Date, default: null },
+    deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    deactivationReason: { type: String, default: null },
+    mustChangePassword: { type: Boolean, default: false }, // Set by an Admin password reset
+    temporaryPasswordExpiresAt: { type: Date, default: null },
+    passwordChangedAt: { type: Date, default: null },
+    // Quick identification at kiosk stations
+    badgeNumber: { type: String, unique: true, sparse: true },
+    kioskPinHash: { type: String, default: null },
+    kioskPinFailedAttempts: { type: Number, default: 0 },
+    kioskPinLockedUntil: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }, // Set after too many failed logins
+    loginFailuresResetAt: { type: Date, default: null }, // Failed logins before this no longer count
+  },
+  { timestamps: true }
+);
+
+// Password hashing
+const SALT_ROUNDS = 12;
+
+const isPasswordHashed = (value) => typeof value === "string" && /^\$2[aby]\$\d{2}\$/.test(value);
+
+const hashPassword = (plainPassword) => bcrypt.hash(plainPassword, SALT_ROUNDS);
+
+// Only ever persist the hash, whichever route sets the password
+UserSchema.pre("save", async function () {
+  if (this.isModified("password") && !isPasswordHashed(this.password)) {
+    this.password = await hashPassword(this.password);
+  }
+});
+
+UserSchema.pre(["findOneAndUpdate", "updateOne", "updateMany"], async function () {
+  const update = this.getUpdate();
+  if (!update || Array.isArray(update)) return;
+
+  const target = update.$set && update.$set.password !== undefined ? update.$set : update;
+  if (target.password !== undefined && !isPasswordHashed(target.password)) {
+    target.password = await hashPassword(String(target.password));
+  }
+});
+
+// Compares against the bcrypt hash, falling back to plain text for accounts not yet migrated
+UserSchema.methods.verifyPassword = async function (candidate) {
+  if (!candidate || !this.password) return false;
+  if (isPasswordHashed(this.password)) {
+    return bcrypt.compare(candidate, this.password);
+  }
+  return this.password === candidate;
+};
+
+UserSchema.methods.verifyKioskPin = async function (pin) {
+  if (!pin || !this.kioskPinHash) return false;
+  return bcrypt.compare(String(pin), this.kioskPinHash);
+};
+
+const User = mongoose.models.User || mongoose.model("User", UserSchema);
+
+module.exports = { User, allowedRoles, isPasswordHashed, hashPassword };
@@ -1,5 +1,26 @@
 const mongoose = require("mongoose");
 
+const stageActorSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+  userName: { type: String, required: true }
+}, { _id: false });
+
+// One manual change to a recorded stage event; the original value is kept
+const stageCorrectionSchema = new mongoose.Schema({
+  field: { type: String, enum: ["timestamp", "bayNumber"], required: true },
+  oldValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  newValue: { type: mongoose.Schema.Types.Mixed, default: null },
+  reason: { type: String, required: true },
+  correctedBy: { type: stageActorSchema, required: true },
+  correctedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// A process rule the scan broke without being blocked (see stageExceptions.js)
+const stageWarningSchema = new mongoose.Schema({
+  type: { type: String, enum: ["prerequisiteSkipped", "overMaxDuration", "bayConflict"], required: true },
+  message: { type: String, required: true }
+}, { _id: false });
+
 const stageSchema = new mongoose.Schema({
   stageName: { type: String, required: true },
   role: { type: String, required: true },
@@ -9,6 +30,20 @@ const stageSchema = new mongoose.Schema({
     userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // Stores the User ID
     userName: { type: String, required: true } // Stores the User's Name
   },
+  impersonatedBy: {
+    type: new mongoose.Schema({
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+      userName: { type: String, required: true }
+    }, { _id: false }),
+    default: null // Set when the event was recorded through a login-as session
+  },
+  station: {
+    type: new mongoose.Schema({
+      stationId: { type: mongoose.Schema.Types.ObjectId, ref: "Station", required: true },
+      stationName: { type: String, required: true }
+    }, { _id: false }),
+    default: null // Set when the event was scanned at a kiosk station
+  },
   inKM: { type: Number, default: null },
   outKM: { type: Number, default: null },
   inDriver: { type: String, default: null },
@@ -23,15 +58,166 @@ const stageSchema = new mongoose.Schema({
     min: 1, 
     max: 15, 
     default: null 
-  }
+  },
+  pauseReason: { type: String, default: null }, // code from pauseReasons.js, required on Pause
+  pauseNote: { type: String, default: null },
+  voided: {
+    type: new mongoose.Schema({
+      voidedAt: { type: Date, default: Date.now },
+      voidedBy: { type: stageActorSchema, required: true },
+      reason: { type: String, required: true }
+    }, { _id: false }),
+    default: null // Set when the scan was a mistake; voided events are ignored everywhere
+  },
+  corrections: { type: [stageCorrectionSchema], default: [] },
+  warnings: { type: [stageWarningSchema], default: [] },
+  autoClosed: { type: Boolean, default: false }, // End recorded by the system when the next Bay Work job started
+  syncedAt: { type: Date, default: null } // Set when the scan was captured offline and uploaded later
+});
+
+// A change to the promised delivery time after it was first set
+const promisedDeliveryRevisionSchema = new mongoose.Schema({
+  from: { type: Date, required: true },
+  to: { type: Date, default: null },
+  reason: { type: String, default: null },
+  revisedBy: { type: stageActorSchema, required: true },
+  revisedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const additionalWorkItemSchema = new mongoose.Schema({
+  description: { type: String, required: true, trim: true },
+  quantity: { type: Number, min: 0, default: 1 },
+  amount: { type: Number, min: 0, default: 0 } // line total
+}, { _id: false });
+
+// Extra work found during a visit that needs the customer's approval (see additionalWork.js)
+const additionalWorkSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  status: {
+    type: String,
+    enum: ["requested", "estimated", "approved", "declined", "cancelled"],
+    default: "requested"
+  },
+  raisedBy: { type: stageActorSchema, required: true },
+  raisedByRole: { type: String, default: null },
+  raisedAt: { type: Date, default: Date.now },
+  description: { type: String, default: null },
+  bayWorkStageId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Bay Work job it was found in
+  items: { type: [additionalWorkItemSchema], default: [] },
+  estimateAmount: { type: Number, min: 0, default: null },
+  estimatedBy: { type: stageActorSchema, default: null },
+  estimatedAt: { type: Date, default: null },
+  approvalStageId: { type: mongoose.Schema.Types.ObjectId, default: null }, // "Additional Work Job Approval N" scan
+  decision: { type: String, enum: ["approved", "declined", null], default: null },
+  decidedAt: { type: Date, default: null }, // when the customer decided
+  decisionRecordedBy: { type: stageActorSchema, default: null },
+  decisionNote: { type: String, default: null },
+  resumedBayWorkStageId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Bay Work Start/Resume after approval
+  resumedAt: { type: Date, default: null }
+});
+
+const partsItemSchema = new mongoose.Schema({
+  partNumber: { type: String, default: null, trim: true },
+  description: { type: String, required: true, trim: true },
+  quantity: { type: Number, min: 1, default: 1 }
+}, { _id: false });
+
+const partsStatusChangeSchema = new mongoose.Schema({
+  status: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: stageActorSchema, required: true },
+  note: { type: String, default: null }
+}, { _id: false });
+
+// Parts asked for during a visit and handed out by the Parts Team (see partsRequests.js)
+const partsRequestSchema = new mongoose.Schema({
+  number: { type: Number, required: true },
+  status: { type: String, enum: ["requested", "backOrdered", "issued", "cancelled"], default: "requested" },
+  items: { type: [partsItemSchema], default: [] },
+  requestedBy: { type: stageActorSchema, required: true },
+  requestedByRole: { type: String, default: null },
+  requestedAt: { type: Date, default: Date.now },
+  isBlocking: { type: Boolean, default: false }, // work cannot carry on without these parts
+  bayWorkStageId: { type: mongoose.Schema.Types.ObjectId, default: null }, // Bay Work job it is for
+  workType: { type: String, default: null },
+  bayNumber: { type: Number, default: null },
+  backOrderedAt: { type: Date, default: null },
+  expectedAt: { type: Date, default: null },
+  issuedAt: { type: Date, default: null },
+  issuedBy: { type: stageActorSchema, default: null },
+  cancelledAt: { type: Date, default: null },
+  statusHistory: { type: [partsStatusChangeSchema], default: [] }
 });
 
+// A Bay Work job moved to another bay part-way through; the job's events carry the new bay
+const bayMoveSchema = new mongoose.Schema({
+  stageName: { type: String, required: true },
+  workType: { type: String, default: null },
+  fromBay: { type: Number, required: true },
+  toBay: { type: Number, min: 1, max: 15, required: true },
+  movedAt: { type: Date, default: Date.now },
+  movedBy: { type: stageActorSchema, required: true },
+  reason: { type: String, default: null }
+}, { _id: false });
+
+// One technician's time on a Bay Work job, from clock on to clock off
+const labourSessionSchema = new mongoose.Schema({
+  jobStageId: { type: mongoose.Schema.Types.ObjectId, required: true }, // the job's Start event
+  stageName: { type: String, required: true },
+  workType: { type: String, default: null },
+  technician: { type: stageActorSchema, required: true },
+  clockOnAt: { type: Date, default: Date.now },
+  clockOffAt: { type: Date, default: null },
+  clockOffReason: { type: String, enum: ["clockOff", "jobEnded", "switchedJob", null], default: null }
+}, { _id: false });
+
 const vehicleSchema = new mongoose.Schema({
   vehicleNumber: { type: String, required: true, unique: false },
   entryTime: { type: Date, default: Date.now },
   exitTime: { type: Date, default: null },
-  stages: [stageSchema]
+  stages: [stageSchema],
+  // Visit details, captured by the Service Advisor at Job Card Creation (see visitDetails.js)
+  jobCardNumber: { type: String, default: null, trim: true },
+  customerName: { type: String, default: null, trim: true },
+  customerPhone: { type: String, default: null },
+  vehicleModel: { type: String, default: null, trim: true },
+  vin: { type: String, default: null },
+  serviceAdvisor: { type: stageActorSchema, default: null },
+  promisedDeliveryAt: { type: Date, default: null },
+  originalPromisedDeliveryAt: { type: Date, default: null },
+  promisedDeliveryRevisions: { type: [promisedDeliveryRevisionSchema], default: [] },
+  visitDetailsUpdatedAt: { type: Date, default: null },
+  visitDetailsUpdatedBy: { type: stageActorSchema, default: null },
+  bayMoves: { type: [bayMoveSchema], default: [] },
+  labour: { type: [labourSessionSchema], default: [] },
+  additionalWork: { type: [additionalWorkSchema], default: [] },
+  partsRequests: { type: [partsRequestSchema], default: [] }
 });
 
+vehicleSchema.index({ jobCardNumber: 1 });
+vehicleSchema.index({ customerPhone: 1 });
+vehicleSchema.index({ vin: 1 });
+vehicleSchema.index({ exitTime: 1, promisedDeliveryAt: 1 });
+vehicleSchema.index({ "partsRequests.status": 1 });
+
+// Appends a numbered entry (additionalWork, partsRequests) to an open visit. The push
+// only applies while the array still has the length the number was taken from, so two
+// entries added at the same moment cannot share a number; the later one is renumbered
+// and retried. Resolves to the updated visit, or null if the visit closed or kept changing.
+vehicleSchema.statics.pushNumbered = async function (vehicle, field, build, attempts = 3) {
+  let current = vehicle;
+  for (let attempt = 0; attempt < attempts && current; attempt++) {
+    const count = current[field].length;
+    const updated = await this.findOneAndUpdate(
+      { _id: current._id, exitTime: null, [field]: { $size: count } },
+      { $push: { [field]: build(current, count + 1) } },
+      { new: true }
+    );
+    if (updated) return updated;
+    current = await this.findOne({ _id: current._id, exitTime: null });
+  }
+  return null;
+};
+
 const Vehicle = mongoose.model("Vehicle", vehicleSchema);
 module.exports = Vehicle;
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+const { allowedRoles } = require("./user");
+
+const EVENT_TYPES = ["Start", "End", "Pause", "Resume"];
+
+const prerequisiteSchema = new mongoose.Schema({
+  stageName: { type: String, required: true },
+  eventType: { type: String, enum: EVENT_TYPES, default: "Start" },
+  enforcement: { type: String, enum: ["block", "warn"], default: "block" },
+  message: { type: String, default: null }
+}, { _id: false });
+
+// One step of the workshop process, as validated by /vehicle-check
+const stageDefinitionSchema = new mongoose.Schema({
+  stageName: { type: String, required: true }, // "*" matches any stage name sent by the listed roles
+  roles: [{ type: String, enum: allowedRoles }],
+  eventTypes: [{ type: String, enum: EVENT_TYPES }],
+  prerequisites: [prerequisiteSchema],
+  // once: a single Start per visit, whileClosed: no new Start while one is open, always: no limit
+  repeatable: { type: String, enum: ["once", "whileClosed", "always"], default: "whileClosed" },
+  // sequence: "<stage> N", bayWork: "<stage>: <workType>: N" per work type and bay
+  numbering: { type: String, enum: ["none", "sequence", "bayWork"], default: "none" },
+  gate: { type: Boolean, default: false }, // Start opens a new visit, End closes it
+  collectsVisitDetails: { type: Boolean, default: false }, // Start may carry job card and customer details
+  // bayWork only: what happens when Start names a bay another vehicle is working in
+  bayConflict: { type: String, enum: ["block", "warn", "allow"], default: "block" },
+  restartCooldownMinutes: { type: Number, min: 0, default: null },
+  minDurationMinutes: { type: Number, min: 0, default: null },
+  maxDurationMinutes: { type: Number, min: 0, default: null }
+}, { _id: false });
+
+// Every change creates a new version; exactly one version is active
+const workflowSchema = new mongoose.Schema(
+  {
+    version: { type: Number, required: true, unique: true },
+    isActive: { type: Boolean, default: false, index: true },
+    stages: [stageDefinitionSchema],
+    notes: { type: String, default: null },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+const Workflow = mongoose.model("Workflow", workflowSchema);
+module.exports = Workflow;
@@ -0,0 +1,113 @@
+const crypto = require("crypto");
+const OtpRequest = require("./models/otpRequest");
+const { sendSms } = require("./sms");
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MS = 5 * 60 * 1000;
+const OTP_MAX_ATTEMPTS = 5;
+const OTP_RESEND_COOLDOWN_MS = 60 * 1000;
+const OTP_MAX_PER_MOBILE_PER_HOUR = 5;
+const OTP_MAX_PER_IP_PER_HOUR = 30;
+
+const hashOtp = (mobile, code) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(`${mobile}:${code}`).digest("hex");
+
+const generateOtp = () => crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, "0");
+
+// Returns { allowed, retryAfterMs } for sending another code
+const checkOtpRateLimit = async ({ mobile, ip }) => {
+  const now = Date.now();
+  const hourAgo = new Date(now - 60 * 60 * 1000);
+
+  const recentForMobile = await OtpRequest.find({ mobile, createdAt: { $gte: hourAgo } })
+    .sort({ createdAt: -1 })
+    .select("createdAt")
+    .lean();
+
+  if (recentForMobile.length > 0) {
+    const cooldownLeft = recentForMobile[0].createdAt.getTime() + OTP_RESEND_COOLDOWN_MS - now;
+    if (cooldownLeft > 0) {
+      return { allowed: false, retryAfterMs: cooldownLeft };
+    }
+  }
+
+  if (recentForMobile.length >= OTP_MAX_PER_MOBILE_PER_HOUR) {
+    const oldest = recentForMobile[recentForMobile.length - 1].createdAt.getTime();
+    return { allowed: false, retryAfterMs: oldest + 60 * 60 * 1000 - now };
+  }
+
+  if (ip) {
+    const recentForIp = await OtpRequest.countDocuments({ ip, createdAt: { $gte: hourAgo } });
+    if (recentForIp >= OTP_MAX_PER_IP_PER_HOUR) {
+      return { allowed: false, retryAfterMs: 60 * 60 * 1000 };
+    }
+  }
+
+  return { allowed: true, retryAfterMs: 0 };
+};
+
+// Creates a new code for the user (superseding any unused one) and sends it by SMS
+const issueOtp = async ({ user, ip }) => {
+  const now = new Date();
+  await OtpRequest.updateMany(
+    { mobile: user.mobile, consumedAt: null, expiresAt: { $gt: now } },
+    { $set: { expiresAt: now } }
+  );
+
+  const code = generateOtp();
+  const otp = await OtpRequest.create({
+    mobile: user.mobile,
+    userId: user._id,
+    codeHash: hashOtp(user.mobile, code),
+    expiresAt: new Date(now.getTime() + OTP_TTL_MS),
+    ip: ip || null
+  });
+
+  await sendSms(
+    user.mobile,
+    `Your login OTP is ${code}. It expires in ${OTP_TTL_MS / 60000} minutes. Do not share it with anyone.`
+  );
+
+  return otp;
+};
+
+// Checks a code against the latest live OTP for the mobile and consumes it on success.
+// Returns { valid: true, userId } or { valid: false, reason: "expired" | "invalid" | "too_many_attempts" }
+const verifyOtp = async ({ mobile, code }) => {
+  const now = new Date();
+
+  // Count the attempt atomically so parallel guesses can't exceed the limit
+  const otp = await OtpRequest.findOneAndUpdate(
+    { mobile, consumedAt: null, expiresAt: { $gt: now }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { sort: { createdAt: -1 }, new: true }
+  );
+
+  if (!otp) {
+    const exhausted = await OtpRequest.exists({
+      mobile,
+      consumedAt: null,
+      expiresAt: { $gt: now },
+      attempts: { $gte: OTP_MAX_ATTEMPTS }
+    });
+    return { valid: false, reason: exhausted ? "too_many_attempts" : "expired" };
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashOtp(mobile, String(code)), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { valid: false, reason: otp.attempts >= OTP_MAX_ATTEMPTS ? "too_many_attempts" : "invalid" };
+  }
+
+  const consumed = await OtpRequest.findOneAndUpdate(
+    { _id: otp._id, consumedAt: null },
+    { $set: { consumedAt: now } }
+  );
+  if (!consumed) {
+    return { valid: false, reason: "expired" };
+  }
+
+  return { valid: true, userId: otp.userId };
+};
+
+module.exports = { OTP_TTL_MS, OTP_LENGTH, checkOtpRateLimit, issueOtp, verifyOtp };
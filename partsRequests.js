@@ -0,0 +1,41 @@
+// Parts requests the Parts Team still has to act on
+const OPEN_PARTS_STATUSES = ["requested", "backOrdered"];
+
+// Validates requested parts. Returns { items, errors }.
+const parsePartsItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    return { items: [], errors: ["List at least one part."] };
+  }
+
+  const errors = [];
+  const parsed = items.map((item, index) => {
+    const description = item && item.description ? String(item.description).trim() : "";
+    const partNumber = item && item.partNumber ? String(item.partNumber).trim().toUpperCase() : null;
+    const quantity = item && item.quantity !== undefined ? Number(item.quantity) : 1;
+
+    if (!description && !partNumber) errors.push(`Part ${index + 1}: a description or part number is required.`);
+    if (!Number.isInteger(quantity) || quantity < 1) errors.push(`Part ${index + 1}: quantity must be a whole number of at least 1.`);
+    return { partNumber, description: description || partNumber, quantity };
+  });
+
+  return { items: parsed, errors };
+};
+
+// How long a request has waited (or waited) for its parts, in ms
+const partsWaitMs = (request, now = new Date()) => {
+  if (request.status === "cancelled") return null;
+  return (request.issuedAt || now) - request.requestedAt;
+};
+
+// Moves a request to a new status and keeps the change in its history
+const setPartsStatus = (request, status, actor, note = null, at = new Date()) => {
+  request.status = status;
+  request.statusHistory.push({ status, at, by: actor, note });
+};
+
+module.exports = {
+  OPEN_PARTS_STATUSES,
+  parsePartsItems,
+  partsWaitMs,
+  setPartsStatus
+};
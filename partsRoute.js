@@ -0,0 +1,232 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const router = express.Router();
+const Vehicle = require("./models/vehicle");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission, hasPermission } = require("./permissions");
+const { findOpenBayJob } = require("./bayOccupancy");
+const { OPEN_PARTS_STATUSES, parsePartsItems, partsWaitMs, setPartsStatus } = require("./partsRequests");
+
+const actorOf = (req) => ({ userId: req.user._id, userName: req.user.name });
+
+// Loads a vehicle and one of its parts requests. Sends the error response itself
+// and returns null when either is missing.
+const loadPartsRequest = async (req, res) => {
+  const { vehicleId, requestId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(vehicleId) || !mongoose.Types.ObjectId.isValid(requestId)) {
+    res.status(400).json({ success: false, message: "Invalid vehicle or request id." });
+    return null;
+  }
+
+  const vehicle = await Vehicle.findById(vehicleId);
+  const request = vehicle && vehicle.partsRequests.id(requestId);
+  if (!request) {
+    res.status(404).json({ success: false, message: "Parts request not found." });
+    return null;
+  }
+
+  if (!OPEN_PARTS_STATUSES.includes(request.status)) {
+    res.status(400).json({ success: false, message: `This parts request is already ${request.status}.` });
+    return null;
+  }
+
+  return { vehicle, request };
+};
+
+// ✅ Ask the Parts Team for parts, against the vehicle's current Bay Work job when there is one
+router.post("/vehicles/:vehicleId/parts-requests", authMiddleware, requirePermission("parts:request"), async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    const { isBlocking } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+
+    const { items, errors } = parsePartsItems(req.body.items);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join(" "), errors });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, exitTime: null });
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: "No active vehicle entry found." });
+    }
+
+    const now = new Date();
+    const updated = await Vehicle.pushNumbered(vehicle, "partsRequests", (current, number) => {
+      const bayJob = findOpenBayJob(current);
+      return {
+        number,
+        items,
+        requestedBy: actorOf(req),
+        requestedByRole: req.user.role,
+        requestedAt: now,
+        isBlocking: Boolean(isBlocking),
+        bayWorkStageId: bayJob ? bayJob.start._id : null,
+        workType: bayJob ? bayJob.workType : null,
+        bayNumber: bayJob ? bayJob.bayNumber : null,
+        statusHistory: [{ status: "requested", at: now, by: actorOf(req) }]
+      };
+    });
+    if (!updated) {
+      return res.status(409).json({ success: false, message: "The visit changed while saving. Please try again." });
+    }
+
+    const request = updated.partsRequests[updated.partsRequests.length - 1];
+    console.log(`🔩 ${req.user.name} requested parts #${request.number} for ${updated.vehicleNumber}`);
+    res.status(201).json({ success: true, message: `Parts request #${request.number} sent to the Parts Team.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/parts-requests:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ List a visit's parts requests
+router.get("/vehicles/:vehicleId/parts-requests", authMiddleware, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+
+    const vehicle = await Vehicle.findById(vehicleId).select("vehicleNumber partsRequests");
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: "Vehicle not found." });
+    }
+
+    res.json({ success: true, vehicleNumber: vehicle.vehicleNumber, partsRequests: vehicle.partsRequests });
+  } catch (error) {
+    console.error("❌ Error in GET /vehicles/:vehicleId/parts-requests:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Parts Team queue: open requests on vehicles in the workshop, blocking and longest waiting first
+router.get("/parts/queue", authMiddleware, requirePermission("parts:manage"), async (req, res) => {
+  try {
+    const now = new Date();
+    const statusFilter = OPEN_PARTS_STATUSES.includes(req.query.status) ? [req.query.status] : OPEN_PARTS_STATUSES;
+
+    const vehicles = await Vehicle.find({ exitTime: null, "partsRequests.status": { $in: statusFilter } }).lean();
+
+    const queue = vehicles.flatMap(vehicle => {
+      const bayJob = findOpenBayJob(vehicle);
+      return vehicle.partsRequests
+        .filter(r => statusFilter.includes(r.status))
+        .map(r => ({
+          vehicleId: vehicle._id,
+          vehicleNumber: vehicle.vehicleNumber,
+          jobCardNumber: vehicle.jobCardNumber || null,
+          requestId: r._id,
+          number: r.number,
+          status: r.status,
+          items: r.items,
+          requestedBy: r.requestedBy.userName,
+          requestedAt: r.requestedAt,
+          expectedAt: r.expectedAt,
+          isBlocking: r.isBlocking,
+          workType: r.workType,
+          bayNumber: r.bayNumber,
+          bayWorkPaused: Boolean(bayJob && bayJob.status === "paused"),
+          waitingMinutes: Math.round(partsWaitMs(r, now) / 60000)
+        }));
+    });
+
+    queue.sort((a, b) => (b.isBlocking - a.isBlocking) || (a.requestedAt - b.requestedAt));
+
+    res.json({
+      success: true,
+      counts: {
+        requested: queue.filter(r => r.status === "requested").length,
+        backOrdered: queue.filter(r => r.status === "backOrdered").length,
+        blocking: queue.filter(r => r.isBlocking).length
+      },
+      queue
+    });
+  } catch (error) {
+    console.error("❌ Error in GET /parts/queue:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Mark parts as back-ordered, optionally with the expected arrival time
+router.post("/vehicles/:vehicleId/parts-requests/:requestId/back-order", authMiddleware, requirePermission("parts:manage"), async (req, res) => {
+  try {
+    const { expectedAt, note } = req.body;
+
+    let expected = null;
+    if (expectedAt) {
+      expected = new Date(expectedAt);
+      if (isNaN(expected.getTime())) {
+        return res.status(400).json({ success: false, message: "expectedAt must be a valid date and time." });
+      }
+    }
+
+    const loaded = await loadPartsRequest(req, res);
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    const now = new Date();
+    if (!request.backOrderedAt) request.backOrderedAt = now;
+    request.expectedAt = expected;
+    setPartsStatus(request, "backOrdered", actorOf(req), note ? String(note).trim() : null, now);
+    await vehicle.save();
+
+    res.json({ success: true, message: `Parts request #${request.number} back-ordered.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/parts-requests/:requestId/back-order:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Hand the parts over to the workshop
+router.post("/vehicles/:vehicleId/parts-requests/:requestId/issue", authMiddleware, requirePermission("parts:manage"), async (req, res) => {
+  try {
+    const loaded = await loadPartsRequest(req, res);
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    const now = new Date();
+    request.issuedAt = now;
+    request.issuedBy = actorOf(req);
+    setPartsStatus(request, "issued", actorOf(req), req.body.note ? String(req.body.note).trim() : null, now);
+    await vehicle.save();
+
+    console.log(`🔩 ${req.user.name} issued parts #${request.number} for ${vehicle.vehicleNumber}`);
+    res.json({ success: true, message: `Parts request #${request.number} issued.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/parts-requests/:requestId/issue:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Withdraw a parts request (the person who raised it, or the Parts Team)
+router.post("/vehicles/:vehicleId/parts-requests/:requestId/cancel", authMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadPartsRequest(req, res);
+    if (!loaded) return;
+    const { vehicle, request } = loaded;
+
+    const isRequester = request.requestedBy.userId.equals(req.user._id);
+    if (!isRequester && !(await hasPermission(req.user.role, "parts:manage"))) {
+      return res.status(403).json({
+        success: false,
+        message: "Access Denied. Your role is not allowed to perform this action."
+      });
+    }
+
+    const now = new Date();
+    request.cancelledAt = now;
+    setPartsStatus(request, "cancelled", actorOf(req), req.body.reason ? String(req.body.reason).trim() : null, now);
+    await vehicle.save();
+
+    res.json({ success: true, message: `Parts request #${request.number} cancelled.`, request });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/parts-requests/:requestId/cancel:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
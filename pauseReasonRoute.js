@@ -0,0 +1,69 @@
+const express = require("express");
+const router = express.Router();
+const PauseReason = require("./models/pauseReason");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission } = require("./permissions");
+const { getPauseReasons, invalidatePauseReasonCache } = require("./pauseReasons");
+
+// ✅ List pause reasons. The app shows the active ones when a technician pauses work.
+router.get("/pause-reasons", authMiddleware, async (req, res) => {
+  try {
+    const reasons = await getPauseReasons();
+    const includeInactive = req.query.all === "true";
+    res.json({ success: true, reasons: includeInactive ? reasons : reasons.filter(r => r.isActive) });
+  } catch (error) {
+    console.error("❌ Error in GET /pause-reasons:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Add a pause reason, or relabel/reorder/hide an existing one (Admin).
+// Reasons are never deleted because recorded pauses refer to them by code.
+router.put("/pause-reasons/:code", authMiddleware, requirePermission("workflow:manage"), async (req, res) => {
+  try {
+    const code = req.params.code.trim().toUpperCase();
+    const { label, isActive, sortOrder } = req.body;
+
+    if (!/^[A-Z0-9_]{2,40}$/.test(code) || code === "UNSPECIFIED") {
+      return res.status(400).json({
+        success: false,
+        message: "Code must be 2-40 letters, digits or underscores, and cannot be UNSPECIFIED."
+      });
+    }
+
+    const existing = (await getPauseReasons()).find(r => r.code === code);
+    const newLabel = label !== undefined ? String(label).trim() : existing?.label;
+    if (!newLabel) {
+      return res.status(400).json({ success: false, message: "A label is required." });
+    }
+    if (isActive !== undefined && typeof isActive !== "boolean") {
+      return res.status(400).json({ success: false, message: "isActive must be true or false." });
+    }
+    if (sortOrder !== undefined && typeof sortOrder !== "number") {
+      return res.status(400).json({ success: false, message: "sortOrder must be a number." });
+    }
+
+    const reason = await PauseReason.findOneAndUpdate(
+      { code },
+      {
+        $set: {
+          label: newLabel,
+          isActive: isActive !== undefined ? isActive : existing ? existing.isActive : true,
+          sortOrder: sortOrder !== undefined ? sortOrder : existing ? existing.sortOrder : 100,
+          updatedBy: req.user._id
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    invalidatePauseReasonCache();
+    console.log(`⏸️ Pause reason ${code} saved by ${req.user.name}`);
+
+    res.json({ success: true, message: `Pause reason ${code} saved.`, reason });
+  } catch (error) {
+    console.error("❌ Error in PUT /pause-reasons/:code:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,62 @@
+const PauseReason = require("./models/pauseReason");
+
+// Reasons offered when Bay Work is paused. Admins can relabel, hide or add to these.
+const DEFAULT_PAUSE_REASONS = [
+  { code: "WAITING_PARTS", label: "Waiting for parts", sortOrder: 10 },
+  { code: "WAITING_APPROVAL", label: "Waiting for customer approval", sortOrder: 20 },
+  { code: "SHIFT_END", label: "Shift end / break", sortOrder: 30 },
+  { code: "TOOLING", label: "Tooling or equipment unavailable", sortOrder: 40 },
+  { code: "DIAGNOSIS", label: "Waiting for diagnosis", sortOrder: 50 },
+  { code: "OTHER", label: "Other", sortOrder: 90 }
+];
+
+// Pause events recorded before reasons were required
+const UNSPECIFIED_REASON = { code: "UNSPECIFIED", label: "Not recorded" };
+
+// Stored reasons are cached briefly so every Pause scan doesn't hit the database
+const CACHE_TTL_MS = 60 * 1000;
+let cachedReasons = null;
+let cachedAt = 0;
+
+const invalidatePauseReasonCache = () => {
+  cachedReasons = null;
+  cachedAt = 0;
+};
+
+// Every known reason, active or not, sorted for display
+const getPauseReasons = async () => {
+  if (cachedReasons && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedReasons;
+  }
+
+  const stored = await PauseReason.find().lean();
+  const reasons = DEFAULT_PAUSE_REASONS.map(reason => {
+    const override = stored.find(s => s.code === reason.code);
+    return override
+      ? { code: reason.code, label: override.label, sortOrder: override.sortOrder, isActive: override.isActive, isCustom: true }
+      : { ...reason, isActive: true, isCustom: false };
+  });
+
+  stored
+    .filter(s => !DEFAULT_PAUSE_REASONS.some(d => d.code === s.code))
+    .forEach(s => reasons.push({ code: s.code, label: s.label, sortOrder: s.sortOrder, isActive: s.isActive, isCustom: true }));
+
+  cachedReasons = reasons.sort((a, b) => a.sortOrder - b.sortOrder || a.label.localeCompare(b.label));
+  cachedAt = Date.now();
+  return cachedReasons;
+};
+
+// The active reason for a code sent with a Pause scan, or null
+const findActivePauseReason = async (code) => {
+  if (!code) return null;
+  const reasons = await getPauseReasons();
+  return reasons.find(r => r.isActive && r.code === String(code).trim().toUpperCase()) || null;
+};
+
+module.exports = {
+  DEFAULT_PAUSE_REASONS,
+  UNSPECIFIED_REASON,
+  getPauseReasons,
+  invalidatePauseReasonCache,
+  findActivePauseReason
+};
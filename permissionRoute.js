@@ -0,0 +1,117 @@
+const express = require("express");
+const router = express.Router();
+const RolePermission = require("./models/rolePermission");
+const { authMiddleware, allowedRoles } = require("./userAuth");
+const {
+  ACTIONS,
+  ALL_EVENTS,
+  getPermissionMatrix,
+  invalidatePermissionCache,
+  requirePermission
+} = require("./permissions");
+
+// ✅ Get the full role-permission matrix (Admin)
+router.get("/permissions", authMiddleware, requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+    res.json({
+      success: true,
+      roles: matrix,
+      availableActions: ACTIONS,
+      eventTypes: ALL_EVENTS
+    });
+  } catch (error) {
+    console.error("❌ Error in GET /permissions:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Get the current user's permissions (used by the app to show/hide actions)
+router.get("/permissions/me", authMiddleware, async (req, res) => {
+  try {
+    const matrix = await getPermissionMatrix();
+    res.json({ success: true, role: req.user.role, permissions: matrix[req.user.role] || null });
+  } catch (error) {
+    console.error("❌ Error in GET /permissions/me:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Replace one role's permissions (Admin)
+router.put("/permissions/:role", authMiddleware, requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { stages = [], actions = [] } = req.body;
+
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+
+    if (!Array.isArray(stages) || !Array.isArray(actions)) {
+      return res.status(400).json({ success: false, message: "stages and actions must be arrays." });
+    }
+
+    const invalidStage = stages.find(s =>
+      !s || typeof s.stageName !== "string" || !s.stageName.trim() ||
+      !Array.isArray(s.eventTypes) || s.eventTypes.some(e => !ALL_EVENTS.includes(e))
+    );
+    if (invalidStage) {
+      return res.status(400).json({
+        success: false,
+        message: `Each stage needs a stageName and eventTypes from: ${ALL_EVENTS.join(", ")}`
+      });
+    }
+
+    const unknownActions = actions.filter(a => !ACTIONS.includes(a));
+    if (unknownActions.length > 0) {
+      return res.status(400).json({ success: false, message: `Unknown actions: ${unknownActions.join(", ")}` });
+    }
+
+    // Never let Admins lock themselves out of the matrix
+    if (role === "Admin" && !actions.includes("permissions:manage")) {
+      return res.status(400).json({ success: false, message: "Admin must keep the permissions:manage action." });
+    }
+
+    const permission = await RolePermission.findOneAndUpdate(
+      { role },
+      {
+        $set: {
+          stages: stages.map(s => ({ stageName: s.stageName.trim(), eventTypes: [...new Set(s.eventTypes)] })),
+          actions: [...new Set(actions)],
+          updatedBy: req.user._id
+        }
+      },
+      { upsert: true, new: true, runValidators: true }
+    );
+
+    invalidatePermissionCache();
+    console.log(`🔐 Permissions for ${role} updated by ${req.user.name}`);
+
+    res.json({ success: true, message: `Permissions for ${role} updated.`, permission });
+  } catch (error) {
+    console.error("❌ Error in PUT /permissions/:role:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Reset one role back to the default permissions (Admin)
+router.delete("/permissions/:role", authMiddleware, requirePermission("permissions:manage"), async (req, res) => {
+  try {
+    const { role } = req.params;
+
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({ success: false, message: `Unknown role: ${role}` });
+    }
+
+    await RolePermission.deleteOne({ role });
+    invalidatePermissionCache();
+
+    const matrix = await getPermissionMatrix();
+    res.json({ success: true, message: `Permissions for ${role} reset to defaults.`, permissions: matrix[role] });
+  } catch (error) {
+    console.error("❌ Error in DELETE /permissions/:role:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const RolePermission = require("./models/rolePermission");
+const { allowedRoles } = require("./models/user");
+
+const ALL_EVENTS = ["Start", "End", "Pause", "Resume"];
+
+// Non-stage actions a role can be granted
+const ACTIONS = [
+  "dashboard:view",      // /dashboard/* and other reporting routes
+  "users:view",          // list users and pending registrations
+  "users:manage",        // approve, reject, delete users and revoke their sessions
+  "users:impersonate",   // /login-as
+  "impersonation:view",  // /impersonation-logs
+  "permissions:manage",  // edit this matrix
+  "stations:manage",     // register kiosk stations and set staff badges/PINs
+  "workflow:manage",     // edit the stage workflow enforced by /vehicle-check
+  "stages:correct",      // void or correct anyone's stage events, outside the grace window
+  "bays:manage",         // move vehicles between service bays
+  "visits:view",         // see customers' names, phones and VINs, and search visits by them
+  "visits:edit",         // edit job card, customer and delivery details of a visit
+  "additionalWork:raise",  // report additional work found on a vehicle
+  "additionalWork:decide", // estimate additional work and record the customer's decision
+  "parts:request",       // ask the Parts Team for parts
+  "parts:manage",        // work the parts queue: back-order and issue parts
+  "exceptions:view"      // list process exceptions recorded on stage events
+];
+
+// Default matrix. Stage names match exactly or as a prefix, so "Bay Work" also
+// covers numbered stages such as "Bay Work: PM: 2".
+const defaultPermissions = {
+  "Admin": {
+    stages: [{ stageName: "*", eventTypes: ALL_EVENTS }],
+    actions: [...ACTIONS]
+  },
+  "Workshop Manager": {
+    stages: [],
+    actions: ["dashboard:view", "users:view", "users:impersonate", "impersonation:view", "stages:correct", "bays:manage", "visits:view", "visits:edit",
+      "additionalWork:raise", "additionalWork:decide", "parts:request", "parts:manage", "exceptions:view"]
+  },
+  "Security Guard": {
+    // Gate entry/exit is recorded under whichever stage name the gate app sends
+    stages: [{ stageName: "*", eventTypes: ["Start", "End"] }],
+    actions: []
+  },
+  "Active Reception Technician": {
+    stages: [{ stageName: "Interactive Bay", eventTypes: ["Start", "End"] }],
+    actions: []
+  },
+  "Service Advisor": {
+    stages: [
+      { stageName: "Job Card Creation + Customer Approval", eventTypes: ["Start"] },
+      { stageName: "Additional Work Job Approval", eventTypes: ["Start"] },
+      { stageName: "Ready for Washing", eventTypes: ["Start", "End"] }
+    ],
+    actions: ["dashboard:view", "visits:view", "visits:edit", "additionalWork:raise", "additionalWork:decide", "parts:request"]
+  },
+  "Job Controller": {
+    stages: [
+      { stageName: "Job Card Received + Bay Allocation", eventTypes: ["Start"] },
+      { stageName: "Job Card Received (by Technician)", eventTypes: ["Start"] },
+      { stageName: "Job Card Received (by FI)", eventTypes: ["Start"] }
+    ],
+    actions: ["dashboard:view", "bays:manage", "additionalWork:raise", "parts:request"]
+  },
+  "Bay Technician": {
+    stages: [{ stageName: "Bay Work", eventTypes: ALL_EVENTS }],
+    actions: ["additionalWork:raise", "parts:request"]
+  },
+  "Final Inspection Technician": {
+    stages: [{ stageName: "Final Inspection", eventTypes: ["Start", "End"] }],
+    actions: ["additionalWork:raise", "parts:request"]
+  },
+  "Diagnosis Engineer": {
+    stages: [],
+    actions: ["additionalWork:raise", "parts:request"]
+  },
+  "Washing": {
+    stages: [{ stageName: "Washing", eventTypes: ["Start", "End"] }],
+    actions: []
+  },
+  "Parts Team": {
+    stages: [{ stageName: "Creation of Parts Estimate", eventTypes: ["Start", "End"] }],
+    actions: ["parts:manage"]
+  }
+};
+
+// Stored overrides are cached briefly so every request doesn't hit the database
+const CACHE_TTL_MS = 60 * 1000;
+let cachedMatrix = null;
+let cachedAt = 0;
+
+const invalidatePermissionCache = () => {
+  cachedMatrix = null;
+  cachedAt = 0;
+};
+
+// Returns { [role]: { stages, actions, isCustom } } for every allowed role
+const getPermissionMatrix = async () => {
+  if (cachedMatrix && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedMatrix;
+  }
+
+  const overrides = await RolePermission.find().lean();
+  const matrix = {};
+
+  allowedRoles.forEach(role => {
+    const override = overrides.find(o => o.role === role);
+    const source = override || defaultPermissions[role] || { stages: [], actions: [] };
+    matrix[role] = {
+      stages: source.stages.map(s => ({ stageName: s.stageName, eventTypes: [...s.eventTypes] })),
+      actions: [...source.actions],
+      isCustom: Boolean(override)
+    };
+  });
+
+  cachedMatrix = matrix;
+  cachedAt = Date.now();
+  return matrix;
+};
+
+// Action string for a stage event, e.g. "stage:Pause:Bay Work"
+const stageAction = (stageName, eventType) => `stage:${eventType}:${stageName}`;
+
+const stageMatches = (allowedStage, stageName) =>
+  allowedStage === "*" || stageName === allowedStage || stageName.startsWith(allowedStage);
+
+const hasPermission = async (role, action) => {
+  const matrix = await getPermissionMatrix();
+  const permissions = matrix[role];
+  if (!permissions || !action) return false;
+
+  if (action.startsWith("stage:")) {
+    const [, eventType, ...rest] = action.split(":");
+    const stageName = rest.join(":");
+    return permissions.stages.some(s =>
+      stageMatches(s.stageName, stageName) && s.eventTypes.includes(eventType)
+    );
+  }
+
+  return permissions.actions.includes(action);
+};
+
+// Middleware (use after authMiddleware). `action` is an action string, or a
+// function of req that returns one; returning null leaves validation to the route.
+const requirePermission = (action) => async (req, res, next) => {
+  try {
+    const resolvedAction = typeof action === "function" ? action(req) : action;
+    if (resolvedAction === null) return next();
+
+    if (!req.user || !(await hasPermission(req.user.role, resolvedAction))) {
+      console.log(`❌ Permission denied: ${req.user?.role} -> ${resolvedAction}`);
+      return res.status(403).json({
+        success: false,
+        message: "Access Denied. Your role is not allowed to perform this action."
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error("❌ Permission check failed:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  ACTIONS,
+  ALL_EVENTS,
+  defaultPermissions,
+  getPermissionMatrix,
+  invalidatePermissionCache,
+  stageAction,
+  stageMatches,
+  hasPermission,
+  requirePermission
+};
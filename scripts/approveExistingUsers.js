@@ -0,0 +1,31 @@
+// One-off migration: accounts created before the approval workflow have no
+// isApproved field. Mark them approved so they keep working after the upgrade.
+// Usage: npm run migrate:approvals
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { User } = require("../models/user");
+
+const approveExistingUsers = async () => {
+  await connectDB();
+
+  const legacyUsers = await User.collection
+    .find({ isApproved: { $exists: false } }, { projection: { createdAt: 1 } })
+    .toArray();
+
+  for (const user of legacyUsers) {
+    await User.collection.updateOne(
+      { _id: user._id },
+      { $set: { isApproved: true, approvedAt: user.createdAt || new Date(), approvedBy: null } }
+    );
+  }
+
+  console.log(`✅ Approval migration complete: ${legacyUsers.length} existing users approved`);
+};
+
+approveExistingUsers()
+  .catch((error) => {
+    console.error("❌ Approval migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
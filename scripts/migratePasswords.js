@@ -0,0 +1,32 @@
+// One-off migration: hash every password still stored as plain text.
+// Usage: npm run migrate:passwords
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const { User, isPasswordHashed } = require("../models/user");
+
+const migratePasswords = async () => {
+  await connectDB();
+
+  const users = await User.find({}, { password: 1, mobile: 1 });
+  let migrated = 0;
+
+  for (const user of users) {
+    if (isPasswordHashed(user.password)) continue;
+
+    // The pre-save hook hashes the plain-text value
+    user.markModified("password");
+    await user.save({ validateBeforeSave: false });
+    migrated++;
+    console.log(`🔐 Hashed password for ${user.mobile}`);
+  }
+
+  console.log(`✅ Password migration complete: ${migrated} of ${users.length} users updated`);
+};
+
+migratePasswords()
+  .catch((error) => {
+    console.error("❌ Password migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,151 @@
+// One-off migration: rewrite every vehicleNumber in the canonical plate format
+// (see vehicleNumber.js) and merge visits that were split because the same car
+// was scanned as e.g. "MH 12 AB 1234" at the gate and "MH12AB1234" in the bay.
+// Usage: npm run migrate:vehicle-numbers [-- --dry-run]
+require("dotenv").config();
+const mongoose = require("mongoose");
+const connectDB = require("../config/db");
+const Vehicle = require("../models/vehicle");
+const ScanReceipt = require("../models/scanReceipt");
+const { normalizeVehicleNumber } = require("../vehicleNumber");
+
+const dryRun = process.argv.includes("--dry-run");
+
+// An open visit is treated as still in the workshop for this long after its last
+// scan, the same window the gate uses to match a new entry to an open one
+const OPEN_VISIT_WINDOW_MS = 12 * 60 * 60 * 1000;
+
+const VISIT_DETAIL_FIELDS = [
+  "jobCardNumber", "customerName", "customerPhone", "vehicleModel", "vin", "serviceAdvisor",
+  "promisedDeliveryAt", "originalPromisedDeliveryAt", "visitDetailsUpdatedAt", "visitDetailsUpdatedBy"
+];
+
+const lastActivity = (visit) =>
+  Math.max(visit.entryTime.getTime(), ...visit.stages.map(s => new Date(s.timestamp).getTime()));
+
+const visitEnd = (visit) =>
+  visit.exitTime ? visit.exitTime.getTime() : lastActivity(visit) + OPEN_VISIT_WINDOW_MS;
+
+// Splits one plate's visits into groups whose time spans overlap; each group is one real visit
+const groupOverlappingVisits = (visits) => {
+  const groups = [];
+  [...visits].sort((a, b) => a.entryTime - b.entryTime).forEach(visit => {
+    const current = groups[groups.length - 1];
+    if (current && visit.entryTime.getTime() <= Math.max(...current.map(visitEnd))) {
+      current.push(visit);
+    } else {
+      groups.push([visit]);
+    }
+  });
+  return groups;
+};
+
+// Numbered stage names ("Bay Work: PM: 1", "Additional Work Job Approval 2") recorded on
+// more than one visit of a group. Merging those would leave two instances under one name,
+// and later scans number the next instance from these names, so such groups are left for
+// someone to merge by hand.
+const clashingStageNames = (group) => {
+  const seenIn = new Map();
+  group.forEach(visit => {
+    visit.stages.filter(s => !s.voided && /\s\d+$/.test(s.stageName)).forEach(s => {
+      if (!seenIn.has(s.stageName)) seenIn.set(s.stageName, new Set());
+      seenIn.get(s.stageName).add(String(visit._id));
+    });
+  });
+  return [...seenIn].filter(([, visitIds]) => visitIds.size > 1).map(([stageName]) => stageName);
+};
+
+// Folds the later visits of a group into the earliest one
+const mergeVisits = (primary, others) => {
+  const all = [primary, ...others];
+  const byTime = (field) => (a, b) => new Date(a[field]) - new Date(b[field]);
+  const collect = (field) => all.flatMap(v => v[field].map(item => item.toObject()));
+
+  const stages = collect("stages").sort(byTime("timestamp"));
+  primary.stages = stages;
+  primary.bayMoves = collect("bayMoves").sort(byTime("movedAt"));
+  primary.labour = collect("labour").sort(byTime("clockOnAt"));
+  primary.promisedDeliveryRevisions = collect("promisedDeliveryRevisions").sort(byTime("revisedAt"));
+  primary.additionalWork = collect("additionalWork").sort(byTime("raisedAt")).map((r, i) => ({ ...r, number: i + 1 }));
+  primary.partsRequests = collect("partsRequests").sort(byTime("requestedAt")).map((r, i) => ({ ...r, number: i + 1 }));
+
+  VISIT_DETAIL_FIELDS.forEach(field => {
+    if (primary[field] == null) {
+      const source = others.find(v => v[field] != null);
+      if (source) primary[field] = source[field];
+    }
+  });
+
+  primary.entryTime = new Date(Math.min(...all.map(v => v.entryTime.getTime())));
+
+  // Closed only if a recorded exit comes after everything that happened in the visit
+  const lastScan = Math.max(...stages.map(s => new Date(s.timestamp).getTime()));
+  const exits = all.filter(v => v.exitTime).map(v => v.exitTime.getTime());
+  const latestExit = exits.length > 0 ? Math.max(...exits) : null;
+  primary.exitTime = latestExit !== null && latestExit >= lastScan ? new Date(latestExit) : null;
+};
+
+const normalizeVehicleNumbers = async () => {
+  await connectDB();
+
+  const visits = await Vehicle.find().sort({ entryTime: 1 });
+  const byPlate = new Map();
+  const invalid = [];
+
+  visits.forEach(visit => {
+    const plate = normalizeVehicleNumber(visit.vehicleNumber);
+    if (!plate) {
+      invalid.push(visit);
+      return;
+    }
+    if (!byPlate.has(plate)) byPlate.set(plate, []);
+    byPlate.get(plate).push(visit);
+  });
+
+  let renamed = 0;
+  let merged = 0;
+  const clashing = [];
+
+  for (const [plate, plateVisits] of byPlate) {
+    for (const group of groupOverlappingVisits(plateVisits)) {
+      const [primary, ...others] = group;
+      if (others.length === 0 && primary.vehicleNumber === plate) continue;
+
+      const clashes = others.length > 0 ? clashingStageNames(group) : [];
+      if (clashes.length > 0) {
+        clashing.push({ plate, group, clashes });
+        continue;
+      }
+
+      if (others.length > 0) {
+        console.log(`🔗 Merging ${others.map(v => `${v.vehicleNumber} (${v._id})`).join(", ")} into ${primary.vehicleNumber} (${primary._id}) as ${plate}`);
+        mergeVisits(primary, others);
+        merged += others.length;
+      }
+      if (primary.vehicleNumber !== plate) renamed++;
+      primary.vehicleNumber = plate;
+
+      if (dryRun) continue;
+
+      await primary.save({ validateBeforeSave: false });
+      if (others.length > 0) {
+        const mergedIds = others.map(v => v._id);
+        await ScanReceipt.updateMany({ vehicleId: { $in: mergedIds } }, { $set: { vehicleId: primary._id } });
+        await Vehicle.deleteMany({ _id: { $in: mergedIds } });
+      }
+    }
+  }
+
+  invalid.forEach(v => console.log(`⚠️ Left unchanged, not a recognised plate: "${v.vehicleNumber}" (${v._id})`));
+  clashing.forEach(({ plate, group, clashes }) => console.log(
+    `⚠️ Left unchanged, merge by hand: ${group.map(v => `${v.vehicleNumber} (${v._id})`).join(", ")} as ${plate} all record ${clashes.join(", ")}`
+  ));
+  console.log(`✅ Vehicle number migration ${dryRun ? "dry run " : ""}complete: ${renamed} visits renamed, ${merged} duplicate visits merged, ${invalid.length + clashing.reduce((sum, c) => sum + c.group.length, 0)} left unchanged`);
+};
+
+normalizeVehicleNumbers()
+  .catch((error) => {
+    console.error("❌ Vehicle number migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
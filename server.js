@@ -7,6 +7,13 @@ const dashboardRoute = require("./dashboardRoute");
 
 const { router: userAuthRoutes } = require("./userAuth");
 const vehicleRoutes = require("./vehicleRoute");
+const permissionRoutes = require("./permissionRoute");
+const stationRoutes = require("./stationRoute");
+const workflowRoutes = require("./workflowRoute");
+const bayRoutes = require("./bayRoute");
+const pauseReasonRoutes = require("./pauseReasonRoute");
+const additionalWorkRoutes = require("./additionalWorkRoute");
+const partsRoutes = require("./partsRoute");
 
 
 const app = express();
@@ -33,6 +40,13 @@ mongoose.connection.on("disconnected", () => {
 app.use("/api", userAuthRoutes);
 app.use("/api", vehicleRoutes);
 app.use("/api", dashboardRoute);
+app.use("/api", permissionRoutes);
+app.use("/api", stationRoutes);
+app.use("/api", workflowRoutes);
+app.use("/api", bayRoutes);
+app.use("/api", pauseReasonRoutes);
+app.use("/api", additionalWorkRoutes);
+app.use("/api", partsRoutes);
 // ✅ Health Check Route
 app.get("/health", (req, res) => {
   res.status(200).json({ status: "Server is healthy" });
@@ -0,0 +1,10 @@
+// Development stand-in: prints messages instead of sending them
+const createConsoleProvider = () => ({
+  name: "console",
+  async send({ to, message }) {
+    console.log(`📱 [SMS to ${to}] ${message}`);
+    return { id: `console-${Date.now()}`, to };
+  }
+});
+
+module.exports = createConsoleProvider;
@@ -0,0 +1,15 @@
+const fs = require("fs");
+const path = require("path");
+
+// Test stand-in: appends each message as a JSON line to SMS_OUTBOX_FILE
+const createFileProvider = ({ filePath = process.env.SMS_OUTBOX_FILE || "sms-outbox.log" } = {}) => ({
+  name: "file",
+  async send({ to, message }) {
+    const entry = { id: `file-${Date.now()}`, to, message, sentAt: new Date().toISOString() };
+    await fs.promises.mkdir(path.dirname(path.resolve(filePath)), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`);
+    return { id: entry.id, to };
+  }
+});
+
+module.exports = createFileProvider;
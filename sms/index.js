@@ -0,0 +1,32 @@
+const createConsoleProvider = require("./consoleProvider");
+const createFileProvider = require("./fileProvider");
+
+// SMS providers implement `send({ to, message })` and resolve with `{ id, to }`.
+// Pick one with SMS_PROVIDER; a real gateway is added with registerSmsProvider().
+const providerFactories = {
+  console: createConsoleProvider,
+  file: createFileProvider
+};
+
+let activeProvider = null;
+
+const registerSmsProvider = (name, factory) => {
+  providerFactories[name] = factory;
+  activeProvider = null;
+};
+
+const getSmsProvider = () => {
+  if (!activeProvider) {
+    const name = process.env.SMS_PROVIDER || "console";
+    const factory = providerFactories[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    activeProvider = factory();
+  }
+  return activeProvider;
+};
+
+const sendSms = (to, message) => getSmsProvider().send({ to, message });
+
+module.exports = { registerSmsProvider, getSmsProvider, sendSms };
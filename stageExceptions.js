@@ -0,0 +1,66 @@
+// Process exceptions recorded on stage events: scans that went ahead despite a
+// workflow warning, and Bay Work jobs the system had to close because the
+// technician started the next job without ending them
+const EXCEPTION_TYPES = ["prerequisiteSkipped", "overMaxDuration", "bayConflict", "autoClosed"];
+
+// "Bay Work: PM: 2" -> "Bay Work", "Job Card Received + Bay Allocation 3" -> "Job Card Received + Bay Allocation"
+const baseStageName = (stageName) => stageName.split(":")[0].replace(/ \d+$/, "").trim();
+
+// Mongo filter for visits with at least one exception recorded between start and end
+const exceptionQuery = (start, end) => ({
+  stages: {
+    $elemMatch: {
+      timestamp: { $gte: start, $lte: end },
+      voided: null,
+      $or: [{ "warnings.0": { $exists: true } }, { autoClosed: true }]
+    }
+  }
+});
+
+/**
+ * Lists a visit's exceptions, oldest first, ignoring voided events. Each entry
+ * names the user responsible: whoever scanned, or for an auto-closed job, the
+ * technician who started it and left it open.
+ */
+const visitExceptions = (vehicle) => {
+  const stages = vehicle.stages.filter(s => !s.voided);
+  const entry = (stage, type, message, user) => ({
+    vehicleId: vehicle._id,
+    vehicleNumber: vehicle.vehicleNumber,
+    stageId: stage._id,
+    stageName: stage.stageName,
+    baseStageName: baseStageName(stage.stageName),
+    eventType: stage.eventType,
+    timestamp: stage.timestamp,
+    type,
+    message,
+    user: user ? { userId: user.userId, userName: user.userName } : null
+  });
+
+  const exceptions = [];
+  stages.forEach(stage => {
+    (stage.warnings || []).forEach(w => exceptions.push(entry(stage, w.type, w.message, stage.performedBy)));
+
+    if (stage.autoClosed) {
+      const jobStart = stages
+        .filter(s => s.stageName === stage.stageName && s.bayNumber == stage.bayNumber &&
+          s.eventType === "Start" && s.timestamp <= stage.timestamp)
+        .sort((a, b) => b.timestamp - a.timestamp)[0];
+      exceptions.push(entry(
+        stage,
+        "autoClosed",
+        `${stage.stageName} was not ended and was closed automatically when the next job started.`,
+        jobStart ? jobStart.performedBy : null
+      ));
+    }
+  });
+
+  return exceptions.sort((a, b) => a.timestamp - b.timestamp);
+};
+
+module.exports = {
+  EXCEPTION_TYPES,
+  baseStageName,
+  exceptionQuery,
+  visitExceptions
+};
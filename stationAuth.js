@@ -0,0 +1,147 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const Station = require("./models/station");
+const { User } = require("./models/user");
+const { authMiddleware } = require("./userAuth");
+const { stageMatches } = require("./permissions");
+
+const STATION_KEY_HEADER = "X-Station-Key";
+const KIOSK_PIN_MAX_ATTEMPTS = 5;
+const KIOSK_PIN_LOCK_MS = 15 * 60 * 1000;
+
+const hashStationKey = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+// Station keys are "<stationId>.<secret>"; only a hash of the secret is stored
+const generateStationKey = (station) => {
+  const secret = crypto.randomBytes(32).toString("hex");
+  return { key: `${station._id}.${secret}`, keyHash: hashStationKey(secret) };
+};
+
+const authenticateStation = async (key) => {
+  const [stationId, secret] = typeof key === "string" ? key.split(".") : [];
+  if (!stationId || !secret || !mongoose.isValidObjectId(stationId)) return null;
+
+  const station = await Station.findById(stationId);
+  if (!station || !station.isActive) return null;
+
+  const expected = Buffer.from(station.keyHash, "hex");
+  const actual = Buffer.from(hashStationKey(secret), "hex");
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return station;
+};
+
+const stationAllows = (station, stageName, eventType) =>
+  station.allowedStages.some(s => stageMatches(s.stageName, stageName) && s.eventTypes.includes(eventType));
+
+// Identifies the person at a kiosk. Returns { user } or { status, message }.
+const identifyKioskUser = async (badgeNumber, pin) => {
+  if (!badgeNumber || !pin) {
+    return { status: 400, message: "Badge number and PIN are required at a station." };
+  }
+
+  const user = await User.findOne({ badgeNumber: String(badgeNumber).trim() });
+  if (!user || !user.kioskPinHash) {
+    return { status: 401, message: "Unknown badge or PIN." };
+  }
+
+  if (user.kioskPinLockedUntil && user.kioskPinLockedUntil > new Date()) {
+    return { status: 423, message: "PIN locked after too many wrong attempts. Try again later or log in on your phone." };
+  }
+
+  if (!(await user.verifyKioskPin(pin))) {
+    user.kioskPinFailedAttempts = (user.kioskPinFailedAttempts || 0) + 1;
+    if (user.kioskPinFailedAttempts >= KIOSK_PIN_MAX_ATTEMPTS) {
+      user.kioskPinLockedUntil = new Date(Date.now() + KIOSK_PIN_LOCK_MS);
+      user.kioskPinFailedAttempts = 0;
+      console.log(`🔒 Kiosk PIN locked for badge ${user.badgeNumber}`);
+    }
+    await user.save();
+    return { status: 401, message: "Unknown badge or PIN." };
+  }
+
+  if (!user.isApproved || user.isActive === false) {
+    return { status: 403, message: "This badge is not allowed to record stages." };
+  }
+
+  if (user.kioskPinFailedAttempts || user.kioskPinLockedUntil) {
+    user.kioskPinFailedAttempts = 0;
+    user.kioskPinLockedUntil = null;
+    await user.save();
+  }
+
+  return { user };
+};
+
+// Station-only routes: authenticates the device key alone
+const stationAuthMiddleware = async (req, res, next) => {
+  try {
+    const station = await authenticateStation(req.header(STATION_KEY_HEADER));
+    if (!station) {
+      return res.status(401).json({ success: false, message: "Invalid or inactive station key." });
+    }
+
+    req.station = station;
+    next();
+  } catch (error) {
+    console.error("❌ Station authentication failed:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+// Scan routes accept either a personal user token or a station key plus the
+// scanner's badge/PIN. With a station key the stage must be one the station allows.
+const scanAuthMiddleware = async (req, res, next) => {
+  const stationKey = req.header(STATION_KEY_HEADER);
+  if (!stationKey) {
+    return authMiddleware(req, res, next);
+  }
+
+  try {
+    const station = await authenticateStation(stationKey);
+    if (!station) {
+      return res.status(401).json({ success: false, message: "Invalid or inactive station key." });
+    }
+
+    const { stageName, eventType, badgeNumber, pin } = req.body;
+    if (stageName && eventType && !stationAllows(station, stageName, eventType)) {
+      return res.status(403).json({
+        success: false,
+        message: `${station.name} is not allowed to record ${stageName} ${eventType}.`
+      });
+    }
+
+    const identified = await identifyKioskUser(badgeNumber, pin);
+    delete req.body.pin; // Keep the PIN out of request logs
+    if (!identified.user) {
+      return res.status(identified.status).json({ success: false, message: identified.message });
+    }
+
+    await Station.updateOne({ _id: station._id }, { $set: { lastSeenAt: new Date() } });
+
+    console.log(`📟 ${identified.user.name} scanning at station ${station.name}`);
+
+    req.user = identified.user;
+    req.station = station;
+    req.impersonator = null;
+    req.authSession = null;
+
+    // Kiosk apps don't know the scanner's role up front
+    if (!req.body.role) {
+      req.body.role = identified.user.role;
+    }
+
+    next();
+  } catch (error) {
+    console.error("❌ Station scan authentication failed:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+};
+
+module.exports = {
+  STATION_KEY_HEADER,
+  generateStationKey,
+  stationAllows,
+  stationAuthMiddleware,
+  scanAuthMiddleware
+};
@@ -0,0 +1,216 @@
+const express = require("express");
+const router = express.Router();
+const Station = require("./models/station");
+const { User, hashPassword } = require("./models/user");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission, ALL_EVENTS } = require("./permissions");
+const { generateStationKey, stationAuthMiddleware } = require("./stationAuth");
+
+const KIOSK_PIN_PATTERN = /^\d{4,6}$/;
+
+const validateAllowedStages = (allowedStages) =>
+  Array.isArray(allowedStages) &&
+  allowedStages.every(s =>
+    s && typeof s.stageName === "string" && s.stageName.trim() &&
+    Array.isArray(s.eventTypes) && s.eventTypes.length > 0 &&
+    s.eventTypes.every(e => ALL_EVENTS.includes(e))
+  );
+
+const formatStation = (station) => ({
+  _id: station._id,
+  name: station.name,
+  location: station.location,
+  allowedStages: station.allowedStages,
+  isActive: station.isActive,
+  lastSeenAt: station.lastSeenAt,
+  keyRotatedAt: station.keyRotatedAt,
+  createdAt: station.createdAt
+});
+
+// ✅ Register a Station (returns its key once)
+router.post("/stations", authMiddleware, requirePermission("stations:manage"), async (req, res) => {
+  try {
+    const { name, location, allowedStages } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ success: false, message: "Station name is required." });
+    }
+
+    if (!validateAllowedStages(allowedStages) || allowedStages.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: `allowedStages must list stageName and eventTypes (${ALL_EVENTS.join(", ")}).`
+      });
+    }
+
+    if (await Station.exists({ name: name.trim() })) {
+      return res.status(400).json({ success: false, message: "A station with this name already exists." });
+    }
+
+    const station = new Station({
+      name: name.trim(),
+      location: location?.trim() || null,
+      allowedStages: allowedStages.map(s => ({ stageName: s.stageName.trim(), eventTypes: s.eventTypes })),
+      createdBy: req.user._id,
+      keyHash: "pending"
+    });
+    const { key, keyHash } = generateStationKey(station);
+    station.keyHash = keyHash;
+    await station.save();
+
+    console.log(`📟 Station ${station.name} registered by ${req.user.name}`);
+
+    res.status(201).json({
+      success: true,
+      message: "Station registered. Store the station key on the device; it will not be shown again.",
+      station: formatStation(station),
+      stationKey: key
+    });
+  } catch (error) {
+    console.error("❌ Error in POST /stations:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ List Stations
+router.get("/stations", authMiddleware, requirePermission("stations:manage"), async (req, res) => {
+  try {
+    const stations = await Station.find().sort({ name: 1 });
+    res.json({ success: true, stations: stations.map(formatStation) });
+  } catch (error) {
+    console.error("❌ Error in GET /stations:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Update a Station (name, location, allowed stages, active flag)
+router.put("/stations/:stationId", authMiddleware, requirePermission("stations:manage"), async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.stationId);
+    if (!station) {
+      return res.status(404).json({ success: false, message: "Station not found." });
+    }
+
+    const { name, location, allowedStages, isActive } = req.body;
+
+    if (name !== undefined) {
+      if (!name || !name.trim()) {
+        return res.status(400).json({ success: false, message: "Station name cannot be empty." });
+      }
+      station.name = name.trim();
+    }
+    if (location !== undefined) station.location = location?.trim() || null;
+    if (allowedStages !== undefined) {
+      if (!validateAllowedStages(allowedStages)) {
+        return res.status(400).json({ success: false, message: "Invalid allowedStages." });
+      }
+      station.allowedStages = allowedStages.map(s => ({ stageName: s.stageName.trim(), eventTypes: s.eventTypes }));
+    }
+    if (isActive !== undefined) station.isActive = Boolean(isActive);
+
+    await station.save();
+
+    res.json({ success: true, message: "Station updated.", station: formatStation(station) });
+  } catch (error) {
+    console.error("❌ Error in PUT /stations/:stationId:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Rotate a Station Key (the old key stops working immediately)
+router.post("/stations/:stationId/rotate-key", authMiddleware, requirePermission("stations:manage"), async (req, res) => {
+  try {
+    const station = await Station.findById(req.params.stationId);
+    if (!station) {
+      return res.status(404).json({ success: false, message: "Station not found." });
+    }
+
+    const { key, keyHash } = generateStationKey(station);
+    station.keyHash = keyHash;
+    station.keyRotatedAt = new Date();
+    await station.save();
+
+    console.log(`📟 Station ${station.name} key rotated by ${req.user.name}`);
+
+    res.json({ success: true, message: "Station key rotated.", station: formatStation(station), stationKey: key });
+  } catch (error) {
+    console.error("❌ Error in POST /stations/:stationId/rotate-key:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Station Self-Check (called by the kiosk app with its station key)
+router.get("/station/me", stationAuthMiddleware, async (req, res) => {
+  res.json({ success: true, station: formatStation(req.station) });
+});
+
+// ✅ Set a User's Badge Number and Kiosk PIN (Admin)
+router.put("/users/:userId/kiosk-credentials", authMiddleware, requirePermission("stations:manage"), async (req, res) => {
+  try {
+    const { badgeNumber, pin } = req.body;
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ success: false, message: "User not found" });
+    }
+
+    if (badgeNumber !== undefined) {
+      const formattedBadge = typeof badgeNumber === "string" ? badgeNumber.trim() : "";
+      if (!formattedBadge) {
+        return res.status(400).json({ success: false, message: "Badge number cannot be empty." });
+      }
+      if (await User.exists({ badgeNumber: formattedBadge, _id: { $ne: user._id } })) {
+        return res.status(400).json({ success: false, message: "Badge number is already assigned to another user." });
+      }
+      user.badgeNumber = formattedBadge;
+    }
+
+    if (pin !== undefined) {
+      if (!KIOSK_PIN_PATTERN.test(String(pin))) {
+        return res.status(400).json({ success: false, message: "PIN must be 4 to 6 digits." });
+      }
+      user.kioskPinHash = await hashPassword(String(pin));
+      user.kioskPinFailedAttempts = 0;
+      user.kioskPinLockedUntil = null;
+    }
+
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Kiosk credentials updated for ${user.name}.`,
+      badgeNumber: user.badgeNumber || null,
+      hasPin: Boolean(user.kioskPinHash)
+    });
+  } catch (error) {
+    console.error("❌ Error in PUT /users/:userId/kiosk-credentials:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Change Own Kiosk PIN (current password required)
+router.put("/profile/kiosk-pin", authMiddleware, async (req, res) => {
+  try {
+    const { currentPassword, pin } = req.body;
+
+    if (!(await req.user.verifyPassword(currentPassword))) {
+      return res.status(401).json({ success: false, message: "Current password is incorrect." });
+    }
+
+    if (!KIOSK_PIN_PATTERN.test(String(pin))) {
+      return res.status(400).json({ success: false, message: "PIN must be 4 to 6 digits." });
+    }
+
+    req.user.kioskPinHash = await hashPassword(String(pin));
+    req.user.kioskPinFailedAttempts = 0;
+    req.user.kioskPinLockedUntil = null;
+    await req.user.save();
+
+    res.json({ success: true, message: "Kiosk PIN updated." });
+  } catch (error) {
+    console.error("❌ Error in PUT /profile/kiosk-pin:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,23 @@
 const mongoose = require("mongoose");
 const express = require("express");
 const jwt = require("jsonwebtoken");
+const crypto = require("crypto");
 const cors = require("cors");
 require("dotenv").config();
+const { User, allowedRoles, isPasswordHashed, hashPassword } = require("./models/user");
+const Session = require("./models/session");
+const Vehicle = require("./models/vehicle");
+const ImpersonationLog = require("./models/impersonationLog");
+const { requirePermission, hasPermission } = require("./permissions");
+const LoginAttempt = require("./models/loginAttempt");
+const {
+  checkLoginThrottle,
+  recordLoginAttempt,
+  registerLoginFailure,
+  resetLoginFailures,
+  isLocked
+} = require("./loginThrottle");
+const { OTP_TTL_MS, checkOtpRateLimit, issueOtp, verifyOtp } = require("./otpLogin");
 
 const router = express.Router();
 const app = express();
@@ -11,33 +26,96 @@ const app = express();
 app.use(express.json());
 app.use(cors({ origin: true, credentials: true }));
 
-// List of allowed roles
-const allowedRoles = [
-  "Admin",
-  "Workshop Manager",
-  "Security Guard",
-  "Active Reception Technician",
-  "Service Advisor",
-  "Job Controller",
-  "Bay Technician",
-  "Final Inspection Technician",
-  "Washing",
-  "Parts Team",
-];
-
-// MongoDB User Schema - With Password
-const UserSchema = new mongoose.Schema(
-  {
-    name: { type: String, required: true },
-    mobile: { type: String, unique: true, required: true },
-    email: { type: String, sparse: true, default: null },
-    password: { type: String, required: true }, // Plain-text password (for now)
-    role: { type: String, enum: allowedRoles, required: true },
-  },
-  { timestamps: true }
-);
-
-const User = mongoose.models.User || mongoose.model("User", UserSchema);
+// Token lifetimes
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const REFRESH_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+const hashToken = (value) => crypto.createHash("sha256").update(value).digest("hex");
+
+// Impersonation tokens also carry the real actor's id (actorId)
+const signAccessToken = (user, session, expiresIn = ACCESS_TOKEN_TTL_SECONDS) =>
+  jwt.sign(
+    {
+      userId: user._id,
+      name: user.name,
+      role: user.role,
+      sid: session._id,
+      ...(session.impersonatedBy && { actorId: session.impersonatedBy })
+    },
+    process.env.JWT_SECRET,
+    { expiresIn }
+  );
+
+// Refresh tokens are "<sessionId>.<secret>"; only a hash of the secret is stored
+const generateRefreshToken = (session) => {
+  const secret = crypto.randomBytes(48).toString("hex");
+  return { refreshToken: `${session._id}.${secret}`, refreshTokenHash: hashToken(secret) };
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+  if (!sessionId || !secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secretHash: hashToken(secret) };
+};
+
+// Creates a server-side session and the tokens bound to it.
+// Non-refreshable sessions get a single access token that lives as long as the session.
+const createSession = async (
+  user,
+  req,
+  { ttlMs = REFRESH_SESSION_TTL_MS, refreshable = true, impersonatedBy = null } = {}
+) => {
+  const session = new Session({
+    userId: user._id,
+    impersonatedBy,
+    expiresAt: new Date(Date.now() + ttlMs),
+    userAgent: req.get("user-agent") || null,
+    ip: req.ip || null
+  });
+
+  let refreshToken = null;
+  if (refreshable) {
+    const generated = generateRefreshToken(session);
+    refreshToken = generated.refreshToken;
+    session.refreshTokenHash = generated.refreshTokenHash;
+  }
+
+  await session.save();
+
+  const expiresIn = refreshable ? ACCESS_TOKEN_TTL_SECONDS : Math.floor(ttlMs / 1000);
+  return { session, token: signAccessToken(user, session, expiresIn), refreshToken, expiresIn };
+};
+
+// Revokes every open session of a user, optionally keeping one (e.g. the caller's own)
+const revokeUserSessions = (userId, revokedBy = null, reason = null, exceptSessionId = null) =>
+  Session.updateMany(
+    { userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+    { $set: { revokedAt: new Date(), revokedBy, revokedReason: reason } }
+  );
+
+// Passwords
+const MIN_PASSWORD_LENGTH = 6;
+const TEMPORARY_PASSWORD_TTL_MS = 24 * 60 * 60 * 1000;
+
+const validateNewPassword = (password) => {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+// Readable one-time password without easily confused characters (0/O, 1/I/l)
+const generateTemporaryPassword = (length = 8) => {
+  const alphabet = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789";
+  let password = "";
+  for (let i = 0; i < length; i++) {
+    password += alphabet[crypto.randomInt(alphabet.length)];
+  }
+  return password;
+};
+
+// Routes still reachable while a password change is pending after an Admin reset
+const PASSWORD_CHANGE_ALLOWED_PATHS = ["/profile", "/profile/password", "/logout"];
 
 // JWT Middleware
 const authMiddleware = async (req, res, next) => {
@@ -52,27 +130,75 @@ const authMiddleware = async (req, res, next) => {
     const verified = jwt.verify(token, process.env.JWT_SECRET);
     console.log("✅ Token Verified:", verified);
 
+    // Tokens issued before server-side sessions carry no sid and are no longer accepted
+    if (!verified.sid) {
+      console.log("❌ Stale Token Without Session");
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    const session = await Session.findById(verified.sid);
+    if (!session || !session.isActive() || !session.userId.equals(verified.userId)) {
+      console.log("❌ Session Revoked or Expired");
+      return res.status(401).json({ message: "Session has been revoked. Please log in again." });
+    }
+
     const user = await User.findById(verified.userId);
     if (!user) {
       console.log("❌ User Not Found in Database");
       return res.status(401).json({ message: "User not found." });
     }
 
+    // Login-as sessions: the token must name the same actor the session was opened by
+    let impersonator = null;
+    if (session.impersonatedBy) {
+      if (!verified.actorId || !session.impersonatedBy.equals(verified.actorId)) {
+        console.log("❌ Impersonation Token Actor Mismatch");
+        return res.status(401).json({ message: "Invalid impersonation token." });
+      }
+
+      impersonator = await User.findById(session.impersonatedBy);
+      if (!impersonator) {
+        return res.status(401).json({ message: "Impersonating user not found." });
+      }
+      if (impersonator.isActive === false) {
+        console.log("❌ Impersonating User Deactivated");
+        return res.status(401).json({ message: "The account that started this login-as session has been deactivated." });
+      }
+    }
+
     console.log("✅ Authenticated User:", {
       id: user._id,
       role: user.role,
-      name: user.name
+      name: user.name,
+      ...(impersonator && { impersonatedBy: impersonator.name })
     });
 
+    if (user.isActive === false) {
+      console.log("❌ User Deactivated");
+      return res.status(401).json({ message: "Your account has been deactivated." });
+    }
+
+    if (user.mustChangePassword && !PASSWORD_CHANGE_ALLOWED_PATHS.includes(req.path)) {
+      return res.status(403).json({
+        message: "You must change your temporary password before continuing.",
+        code: "PASSWORD_CHANGE_REQUIRED"
+      });
+    }
+
     req.user = user; // Attach full user object
+    req.authSession = session;
+    req.impersonator = impersonator; // Real actor when using a login-as token, otherwise null
     next();
   } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "Token expired", code: "TOKEN_EXPIRED" });
+    }
     console.error("❌ Token Verification Failed:", error);
     res.status(400).json({ message: "Invalid Token" });
   }
 };
 
-// ✅ Register User (No approval required)
+// ✅ Register User (Admin approval required, except for the first Admin)
 router.post("/register", async (req, res) => {
   try {
     const { name, mobile, email, password, role } = req.body;
@@ -98,20 +224,27 @@ router.post("/register", async (req, res) => {
       }
     }
 
+    // Only the very first Admin is approved automatically; everyone else waits for an Admin
+    const isApproved = role === "Admin" && !(await User.exists({ role: "Admin", isApproved: true }));
+
     // Create user
     const newUser = new User({
       name,
       mobile,
       email: formattedEmail,
-      password, // Store as plain-text for now (no hashing)
+      password, // Hashed by the UserSchema pre-save hook
       role,
+      isApproved,
+      approvedAt: isApproved ? new Date() : null,
     });
 
     await newUser.save();
 
     res.status(201).json({
       success: true,
-      message: "User registered successfully. You can log in immediately.",
+      message: isApproved
+        ? "Admin registered successfully. You can login immediately."
+        : "User registered successfully. Please wait for admin approval before logging in.",
     });
   } catch (error) {
     console.error("Registration Error:", error);
@@ -123,6 +256,57 @@ router.post("/register", async (req, res) => {
   }
 });
 
+const LOCKED_MESSAGE = "Account temporarily locked after too many failed attempts. Try again later or contact the admin.";
+
+const sendThrottledResponse = (res, throttle) => {
+  const retryAfterSeconds = Math.ceil(throttle.retryAfterMs / 1000);
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(throttle.reason === "locked" ? 423 : 429).json({
+    message: throttle.reason === "locked"
+      ? LOCKED_MESSAGE
+      : `Too many failed attempts. Try again in ${retryAfterSeconds} seconds.`,
+    retryAfterSeconds
+  });
+};
+
+// Shared by password and OTP login once the credential itself has been verified
+const completeLogin = async (req, res, user, method) => {
+  const { mobile } = user;
+
+  if (user.isActive === false) {
+    await recordLoginAttempt({ req, mobile, user, success: false, reason: "deactivated", method });
+    return res.status(403).json({ message: "Your account has been deactivated. Please contact the admin." });
+  }
+
+  if (!user.isApproved) {
+    await recordLoginAttempt({ req, mobile, user, success: false, reason: "not_approved", method });
+    return res.status(403).json({
+      message: user.rejectedAt
+        ? "Your registration has been rejected. Please contact the admin."
+        : "Your account is awaiting admin approval.",
+    });
+  }
+
+  await resetLoginFailures(user);
+  await recordLoginAttempt({ req, mobile, user, success: true, reason: "success", method });
+
+  // Short-lived access token plus a rotating refresh token
+  const { token, refreshToken, expiresIn } = await createSession(user, req);
+
+  return res.json({
+    success: true,
+    token,
+    refreshToken,
+    expiresIn,
+    mustChangePassword: user.mustChangePassword,
+    user: {
+      name: user.name,
+      mobile: user.mobile,
+      role: user.role,
+    },
+  });
+};
+
 // ✅ Login (Mobile & Password Required)
 router.post("/login", async (req, res) => {
   try {
@@ -135,44 +319,359 @@ router.post("/login", async (req, res) => {
     // Find user by Mobile
     const user = await User.findOne({ mobile });
 
-    if (!user || user.password !== password) {
-      return res.status(404).json({ message: "Invalid mobile or password." });
+    // Brute-force protection: per-mobile and per-IP backoff, then lockout
+    const throttle = await checkLoginThrottle({ mobile, ip: req.ip, user });
+    if (!throttle.allowed) {
+      await recordLoginAttempt({ req, mobile, user, success: false, reason: throttle.reason });
+      return sendThrottledResponse(res, throttle);
     }
 
-    // Generate JWT with long expiration
-    const token = jwt.sign(
-      { userId: user._id, name: user.name, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: "365d" } // Users stay logged in for 1 year
-    );
+    if (!user || !(await user.verifyPassword(password))) {
+      await recordLoginAttempt({ req, mobile, user, success: false, reason: "invalid_credentials" });
+      const lockedUntil = await registerLoginFailure(user);
+      if (lockedUntil) {
+        return res.status(423).json({
+          message: LOCKED_MESSAGE,
+          retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000)
+        });
+      }
+      return res.status(401).json({ message: "Invalid mobile or password." });
+    }
+
+    // A temporary password from an Admin reset is only good until it expires
+    if (user.mustChangePassword && user.temporaryPasswordExpiresAt && user.temporaryPasswordExpiresAt < new Date()) {
+      await recordLoginAttempt({ req, mobile, user, success: false, reason: "invalid_credentials" });
+      return res.status(401).json({ message: "Temporary password has expired. Please ask the admin for a new one." });
+    }
+
+    // Upgrade legacy plain-text passwords on successful login
+    if (!isPasswordHashed(user.password)) {
+      user.password = password;
+      await user.save();
+      console.log(`🔐 Re-hashed legacy password for user ${user._id}`);
+    }
+
+    return completeLogin(req, res, user, "password");
+  } catch (error) {
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Request a Login OTP by SMS
+router.post("/login/otp/request", async (req, res) => {
+  try {
+    const mobile = typeof req.body.mobile === "string" ? req.body.mobile.trim() : "";
+
+    if (!mobile) {
+      return res.status(400).json({ message: "Mobile is required." });
+    }
+
+    const limit = await checkOtpRateLimit({ mobile, ip: req.ip });
+    if (!limit.allowed) {
+      const retryAfterSeconds = Math.ceil(limit.retryAfterMs / 1000);
+      res.set("Retry-After", String(retryAfterSeconds));
+      return res.status(429).json({
+        message: `Please wait ${retryAfterSeconds} seconds before requesting another OTP.`,
+        retryAfterSeconds
+      });
+    }
+
+    // Same response whether or not the mobile exists, so numbers can't be probed
+    const user = await User.findOne({ mobile });
+    if (user && user.isApproved && user.isActive !== false && !isLocked(user)) {
+      await issueOtp({ user, ip: req.ip });
+    }
 
     res.json({
       success: true,
-      token,
-      user: {
-        name: user.name,
-        mobile: user.mobile,
-        role: user.role,
-      },
+      message: "If this mobile number is registered, an OTP has been sent.",
+      expiresInSeconds: OTP_TTL_MS / 1000
+    });
+  } catch (error) {
+    console.error("OTP Request Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Verify a Login OTP (same response as /login)
+router.post("/login/otp/verify", async (req, res) => {
+  try {
+    const mobile = typeof req.body.mobile === "string" ? req.body.mobile.trim() : "";
+    const { otp } = req.body;
+
+    if (!mobile || !otp) {
+      return res.status(400).json({ message: "Mobile and OTP are required." });
+    }
+
+    const user = await User.findOne({ mobile });
+
+    const throttle = await checkLoginThrottle({ mobile, ip: req.ip, user });
+    if (!throttle.allowed) {
+      await recordLoginAttempt({ req, mobile, user, success: false, reason: throttle.reason, method: "otp" });
+      return sendThrottledResponse(res, throttle);
+    }
+
+    const result = user ? await verifyOtp({ mobile, code: otp }) : { valid: false, reason: "invalid" };
+
+    if (!result.valid || !user._id.equals(result.userId)) {
+      await recordLoginAttempt({ req, mobile, user, success: false, reason: "invalid_credentials", method: "otp" });
+      const lockedUntil = await registerLoginFailure(user);
+      if (lockedUntil) {
+        return res.status(423).json({
+          message: LOCKED_MESSAGE,
+          retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000)
+        });
+      }
+
+      const messages = {
+        expired: "OTP has expired. Please request a new one.",
+        too_many_attempts: "Too many incorrect attempts. Please request a new OTP.",
+        invalid: "Invalid OTP."
+      };
+      return res.status(401).json({ message: messages[result.reason] || messages.invalid });
+    }
+
+    return completeLogin(req, res, user, "otp");
+  } catch (error) {
+    console.error("OTP Verify Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Refresh Access Token (rotates the refresh token)
+router.post("/refresh-token", async (req, res) => {
+  try {
+    const parsed = parseRefreshToken(req.body.refreshToken);
+    if (!parsed) {
+      return res.status(400).json({ message: "Refresh token is required." });
+    }
+
+    const session = await Session.findById(parsed.sessionId);
+    if (!session || !session.isActive()) {
+      return res.status(401).json({ message: "Session expired. Please log in again." });
+    }
+
+    // A rotated-out token being presented again means it was copied: kill the session
+    if (parsed.secretHash === session.previousRefreshTokenHash) {
+      session.revokedAt = new Date();
+      session.revokedReason = "Refresh token reuse detected";
+      await session.save();
+      console.log(`⚠️ Refresh token reuse detected for session ${session._id}`);
+      return res.status(401).json({ message: "Session has been revoked. Please log in again." });
+    }
+
+    if (parsed.secretHash !== session.refreshTokenHash) {
+      return res.status(401).json({ message: "Invalid refresh token." });
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isApproved || user.isActive === false) {
+      session.revokedAt = new Date();
+      session.revokedReason = "User no longer allowed to log in";
+      await session.save();
+      return res.status(401).json({ message: "User not found." });
+    }
+
+    const { refreshToken, refreshTokenHash } = generateRefreshToken(session);
+    session.previousRefreshTokenHash = session.refreshTokenHash;
+    session.refreshTokenHash = refreshTokenHash;
+    session.lastUsedAt = new Date();
+    await session.save();
+
+    res.json({
+      success: true,
+      token: signAccessToken(user, session),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
     });
   } catch (error) {
+    console.error("Refresh Token Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Logout API - Revokes the current session
+router.post("/logout", async (req, res) => {
+  try {
+    let sessionId = null;
+
+    // An expired access token still identifies the session to close
+    const token = req.header("Authorization")?.replace("Bearer ", "");
+    if (token) {
+      try {
+        sessionId = jwt.verify(token, process.env.JWT_SECRET, { ignoreExpiration: true }).sid || null;
+      } catch (error) {
+        sessionId = null;
+      }
+    }
+
+    if (!sessionId) {
+      const parsed = parseRefreshToken(req.body?.refreshToken);
+      if (parsed) {
+        const session = await Session.findById(parsed.sessionId);
+        if (session && session.refreshTokenHash === parsed.secretHash) {
+          sessionId = session._id;
+        }
+      }
+    }
+
+    if (sessionId) {
+      const loggedOutAt = new Date();
+      await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: loggedOutAt, revokedReason: "Logged out" } }
+      );
+      // Logging out of a login-as session also ends the impersonation
+      await ImpersonationLog.updateOne({ sessionId, endedAt: null }, { $set: { endedAt: loggedOutAt } });
+    }
+
+    res.json({ success: true, message: "Logged out successfully" });
+  } catch (error) {
+    console.error("Logout Error:", error);
     res.status(500).json({ success: false, message: "Server error", error });
   }
 });
 
-// ✅ Logout API - No action needed
-router.post("/logout", (req, res) => {
-  res.json({ success: true, message: "Logged out successfully" });
+// ✅ Revoke All Sessions for a User (Admin Only)
+router.post("/users/:userId/revoke-sessions", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const result = await revokeUserSessions(user._id, req.user._id, "Revoked by admin");
+
+    res.json({
+      success: true,
+      message: `Revoked ${result.modifiedCount} session(s) for ${user.name}.`,
+      revokedCount: result.modifiedCount
+    });
+  } catch (error) {
+    console.error("Revoke Sessions Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
 });
 
-// ✅ Get All Users (Admin Access)
-router.get("/users", authMiddleware, async (req, res) => {
+// ✅ Unlock a Locked Account (Admin Only)
+router.post("/users/:userId/unlock", authMiddleware, requirePermission("users:manage"), async (req, res) => {
   try {
-    if (req.user.role !== "Admin") {
-      return res.status(403).json({ message: "Access Denied. Admins only." });
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
     }
 
-    const users = await User.find();
+    const wasLocked = isLocked(user);
+    await resetLoginFailures(user);
+    console.log(`🔓 ${user.mobile} unlocked by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: wasLocked
+        ? `${user.name}'s account has been unlocked.`
+        : `${user.name}'s account was not locked; failed attempts have been reset.`
+    });
+  } catch (error) {
+    console.error("Unlock User Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Get Login History (user admins and managers)
+router.get("/login-attempts", authMiddleware, requirePermission("users:view"), async (req, res) => {
+  try {
+    const { mobile, userId, ip, success, startDate, endDate } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = {};
+    if (mobile) query.mobile = mobile;
+    if (userId) query.userId = userId;
+    if (ip) query.ip = ip;
+    if (success === "true" || success === "false") query.success = success === "true";
+    if (startDate || endDate) {
+      query.createdAt = {};
+      if (startDate) query.createdAt.$gte = new Date(startDate);
+      if (endDate) query.createdAt.$lte = new Date(endDate);
+    }
+
+    const [total, attempts] = await Promise.all([
+      LoginAttempt.countDocuments(query),
+      LoginAttempt.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    res.json({ success: true, total, page, limit, attempts });
+  } catch (error) {
+    console.error("Error fetching login attempts:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Suspicious Login Activity: accounts with failed logins in the last N hours
+router.get("/login-attempts/suspicious", authMiddleware, requirePermission("users:view"), async (req, res) => {
+  try {
+    const hours = Math.min(Math.max(parseInt(req.query.hours, 10) || 24, 1), 24 * 30);
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+    const byMobile = await LoginAttempt.aggregate([
+      { $match: { success: false, createdAt: { $gte: since } } },
+      {
+        $group: {
+          _id: "$mobile",
+          userId: { $first: "$userId" },
+          failedCount: { $sum: 1 },
+          throttledCount: { $sum: { $cond: [{ $in: ["$reason", ["throttled", "locked"]] }, 1, 0] } },
+          ips: { $addToSet: "$ip" },
+          lastFailedAt: { $max: "$createdAt" }
+        }
+      },
+      { $sort: { failedCount: -1 } }
+    ]);
+
+    const userIds = byMobile.map(m => m.userId).filter(Boolean);
+    const users = await User.find({ _id: { $in: userIds } }).select("name role lockedUntil");
+    const usersById = new Map(users.map(u => [String(u._id), u]));
+
+    res.json({
+      success: true,
+      since,
+      accounts: byMobile.map(m => {
+        const user = m.userId ? usersById.get(String(m.userId)) : null;
+        return {
+          mobile: m._id,
+          userName: user?.name || null,
+          role: user?.role || null,
+          knownUser: Boolean(user),
+          failedCount: m.failedCount,
+          throttledCount: m.throttledCount,
+          distinctIps: m.ips.filter(Boolean).length,
+          ips: m.ips.filter(Boolean),
+          lastFailedAt: m.lastFailedAt,
+          isLocked: isLocked(user),
+          lockedUntil: user?.lockedUntil || null
+        };
+      })
+    });
+  } catch (error) {
+    console.error("Error fetching suspicious login activity:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Get All Users (Admin Access) - ?status=active (default) | inactive | all
+router.get("/users", authMiddleware, requirePermission("users:view"), async (req, res) => {
+  try {
+    const { status = "active" } = req.query;
+    if (!["active", "inactive", "all"].includes(status)) {
+      return res.status(400).json({ message: "status must be active, inactive or all." });
+    }
+
+    // Accounts created before deactivation existed have no isActive field
+    const query = status === "all" ? {} : { isActive: status === "active" ? { $ne: false } : false };
+    const users = await User.find(query);
 
     // Exclude passwords from response
     const sanitizedUsers = users.map(user => ({
@@ -181,6 +680,11 @@ router.get("/users", authMiddleware, async (req, res) => {
       mobile: user.mobile,
       email: user.email,
       role: user.role,
+      isApproved: user.isApproved,
+      approvedAt: user.approvedAt,
+      isLocked: isLocked(user),
+      isActive: user.isActive !== false,
+      deactivatedAt: user.deactivatedAt,
       createdAt: user.createdAt
     }));
 
@@ -191,6 +695,251 @@ router.get("/users", authMiddleware, async (req, res) => {
   }
 });
 
+// ✅ Get Pending Registrations (Admin Access)
+router.get("/users/pending", authMiddleware, requirePermission("users:view"), async (req, res) => {
+  try {
+    const pendingUsers = await User.find({ isApproved: false, rejectedAt: null }).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      users: pendingUsers.map(user => ({
+        _id: user._id,
+        name: user.name,
+        mobile: user.mobile,
+        email: user.email,
+        role: user.role,
+        createdAt: user.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching pending users:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Approve Registration (Admin Only)
+router.post("/users/:userId/approve", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.isApproved) {
+      return res.status(400).json({ message: "User is already approved." });
+    }
+
+    user.isApproved = true;
+    user.approvedBy = req.user._id;
+    user.approvedAt = new Date();
+    user.rejectedBy = null;
+    user.rejectedAt = null;
+    user.rejectionReason = null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `${user.name} approved as ${user.role}.`,
+      user: {
+        _id: user._id,
+        name: user.name,
+        role: user.role,
+        isApproved: user.isApproved,
+        approvedBy: { userId: req.user._id, userName: req.user.name },
+        approvedAt: user.approvedAt
+      }
+    });
+  } catch (error) {
+    console.error("Approve User Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Reject Registration (Admin Only)
+router.post("/users/:userId/reject", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.isApproved) {
+      return res.status(400).json({ message: "Approved users cannot be rejected." });
+    }
+
+    user.rejectedBy = req.user._id;
+    user.rejectedAt = new Date();
+    user.rejectionReason = req.body.reason?.trim() || null;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `${user.name}'s registration rejected.`,
+      user: {
+        _id: user._id,
+        name: user.name,
+        role: user.role,
+        isApproved: user.isApproved,
+        rejectedAt: user.rejectedAt,
+        rejectionReason: user.rejectionReason
+      }
+    });
+  } catch (error) {
+    console.error("Reject User Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Login as Another User Role (audited)
+router.post("/login-as", authMiddleware, requirePermission("users:impersonate"), async (req, res) => {
+  try {
+    const { targetUserId, reason } = req.body;
+
+    if (req.impersonator) {
+      return res.status(400).json({ message: "End the current impersonation before starting another." });
+    }
+
+    if (!targetUserId) {
+      return res.status(400).json({ message: "Target user ID is required." });
+    }
+
+    const targetUser = await User.findById(targetUserId);
+
+    if (!targetUser) {
+      return res.status(404).json({ message: "Target user not found." });
+    }
+
+    // Only Admins may act as another Admin
+    if (targetUser.role === "Admin" && req.user.role !== "Admin") {
+      return res.status(403).json({ message: `${req.user.role} cannot log in as Admin.` });
+    }
+
+    if (!targetUser.isApproved) {
+      return res.status(403).json({ message: "Target user has not been approved yet." });
+    }
+
+    if (targetUser.isActive === false) {
+      return res.status(403).json({ message: "Target user has been deactivated." });
+    }
+
+    // Generate a one-hour, non-refreshable session for the target user
+    const { session, token, expiresIn } = await createSession(targetUser, req, {
+      ttlMs: 60 * 60 * 1000,
+      refreshable: false,
+      impersonatedBy: req.user._id
+    });
+
+    const log = await ImpersonationLog.create({
+      actor: { userId: req.user._id, userName: req.user.name, role: req.user.role },
+      target: { userId: targetUser._id, userName: targetUser.name, role: targetUser.role },
+      sessionId: session._id,
+      reason: reason?.trim() || null,
+      expiresAt: session.expiresAt,
+      ip: session.ip,
+      userAgent: session.userAgent
+    });
+
+    console.log(`🕵️ ${req.user.name} (${req.user.role}) started impersonating ${targetUser.name} (${targetUser.role})`);
+
+    res.json({
+      success: true,
+      token,
+      expiresIn,
+      impersonationId: log._id,
+      userInfo: {
+        name: targetUser.name,
+        mobile: targetUser.mobile,
+        role: targetUser.role,
+        isApproved: targetUser.isApproved,
+      },
+      message: `Logged in as ${targetUser.role} by ${req.user.role}.`,
+    });
+  } catch (error) {
+    console.error("Login-As Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ End Impersonation (call with the login-as token)
+router.post("/end-impersonation", authMiddleware, async (req, res) => {
+  try {
+    if (!req.impersonator) {
+      return res.status(400).json({ message: "This session is not an impersonation session." });
+    }
+
+    const endedAt = new Date();
+
+    req.authSession.revokedAt = endedAt;
+    req.authSession.revokedBy = req.impersonator._id;
+    req.authSession.revokedReason = "Impersonation ended";
+    await req.authSession.save();
+
+    await ImpersonationLog.updateOne(
+      { sessionId: req.authSession._id, endedAt: null },
+      { $set: { endedAt } }
+    );
+
+    console.log(`🕵️ ${req.impersonator.name} stopped impersonating ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: `Stopped acting as ${req.user.name}. Continue with your own session.`
+    });
+  } catch (error) {
+    console.error("End Impersonation Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Get Impersonation Log (user admins see all entries, others only their own)
+router.get("/impersonation-logs", authMiddleware, requirePermission("impersonation:view"), async (req, res) => {
+  try {
+    const { actorId, targetUserId, startDate, endDate, active } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const query = {};
+    if (!(await hasPermission(req.user.role, "users:manage"))) {
+      query["actor.userId"] = req.user._id;
+    } else if (actorId) {
+      query["actor.userId"] = actorId;
+    }
+    if (targetUserId) query["target.userId"] = targetUserId;
+    if (startDate || endDate) {
+      query.startedAt = {};
+      if (startDate) query.startedAt.$gte = new Date(startDate);
+      if (endDate) query.startedAt.$lte = new Date(endDate);
+    }
+    if (active === "true") {
+      query.endedAt = null;
+      query.expiresAt = { $gt: new Date() };
+    }
+
+    const [total, logs] = await Promise.all([
+      ImpersonationLog.countDocuments(query),
+      ImpersonationLog.find(query)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+    ]);
+
+    const now = new Date();
+    res.json({
+      success: true,
+      total,
+      page,
+      limit,
+      logs: logs.map(log => ({
+        ...log.toObject(),
+        isActive: !log.endedAt && log.expiresAt > now
+      }))
+    });
+  } catch (error) {
+    console.error("Error fetching impersonation logs:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
 // ✅ Get User Profile
 router.get("/profile", authMiddleware, async (req, res) => {
   try {
@@ -207,6 +956,7 @@ router.get("/profile", authMiddleware, async (req, res) => {
         email: user.email,
         mobile: user.mobile,
         role: user.role,
+        mustChangePassword: user.mustChangePassword,
       },
     });
   } catch (error) {
@@ -215,20 +965,308 @@ router.get("/profile", authMiddleware, async (req, res) => {
   }
 });
 
-// ✅ Delete User (Admin Only)
-router.delete("/users/:userId", authMiddleware, async (req, res) => {
+// ✅ Update Own Profile (changing mobile requires the current password)
+router.put("/profile", authMiddleware, async (req, res) => {
   try {
-    if (req.user.role !== "Admin") {
-      return res.status(403).json({ message: "Access Denied. Admins only." });
+    const user = req.user;
+    const { name, email, mobile, currentPassword } = req.body;
+
+    if (name !== undefined) {
+      if (typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ message: "Name cannot be empty." });
+      }
+      user.name = name.trim();
+    }
+
+    if (email !== undefined) {
+      const formattedEmail = email && email.trim() !== "" ? email.trim().toLowerCase() : null;
+      if (formattedEmail && formattedEmail !== user.email) {
+        const existingEmailUser = await User.findOne({ email: formattedEmail, _id: { $ne: user._id } });
+        if (existingEmailUser) {
+          return res.status(400).json({ message: "User with this email already registered" });
+        }
+      }
+      user.email = formattedEmail;
+    }
+
+    if (mobile !== undefined && mobile !== user.mobile) {
+      if (typeof mobile !== "string" || !mobile.trim()) {
+        return res.status(400).json({ message: "Mobile cannot be empty." });
+      }
+
+      // Mobile is the login identifier, so confirm it's really the owner
+      if (!(await user.verifyPassword(currentPassword))) {
+        return res.status(401).json({ message: "Current password is incorrect." });
+      }
+
+      const existingUser = await User.findOne({ mobile: mobile.trim(), _id: { $ne: user._id } });
+      if (existingUser) {
+        return res.status(400).json({ message: "User with this mobile already registered" });
+      }
+      user.mobile = mobile.trim();
     }
 
+    await user.save();
+
+    res.json({
+      success: true,
+      message: "Profile updated successfully.",
+      profile: {
+        name: user.name,
+        email: user.email,
+        mobile: user.mobile,
+        role: user.role,
+      },
+    });
+  } catch (error) {
+    console.error("Error updating profile:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Change Own Password (current password required)
+router.put("/profile/password", authMiddleware, async (req, res) => {
+  try {
+    const user = req.user;
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({ message: "Current and new password are required." });
+    }
+
+    if (!(await user.verifyPassword(currentPassword))) {
+      return res.status(401).json({ message: "Current password is incorrect." });
+    }
+
+    const passwordError = validateNewPassword(newPassword);
+    if (passwordError) {
+      return res.status(400).json({ message: passwordError });
+    }
+
+    if (await user.verifyPassword(newPassword)) {
+      return res.status(400).json({ message: "New password must be different from the current password." });
+    }
+
+    user.password = newPassword; // Hashed by the UserSchema pre-save hook
+    user.mustChangePassword = false;
+    user.temporaryPasswordExpiresAt = null;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    // Sign out every other device; the current one stays logged in
+    await revokeUserSessions(user._id, user._id, "Password changed", req.authSession._id);
+
+    res.json({ success: true, message: "Password changed successfully." });
+  } catch (error) {
+    console.error("Error changing password:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Reset a User's Password to a One-Time Temporary Password (Admin Only)
+router.post("/users/:userId/reset-password", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const temporaryPassword = generateTemporaryPassword();
+
+    user.password = temporaryPassword; // Hashed by the UserSchema pre-save hook
+    user.mustChangePassword = true;
+    user.temporaryPasswordExpiresAt = new Date(Date.now() + TEMPORARY_PASSWORD_TTL_MS);
+    user.passwordChangedAt = new Date();
+    user.lockedUntil = null;
+    user.loginFailuresResetAt = new Date();
+    await user.save();
+
+    await revokeUserSessions(user._id, req.user._id, "Password reset by admin");
+    console.log(`🔐 Password for ${user.mobile} reset by ${req.user.name}`);
+
+    // Shown once to the Admin; only the hash is stored
+    res.json({
+      success: true,
+      message: `Temporary password generated for ${user.name}. They must change it at next login.`,
+      temporaryPassword,
+      expiresAt: user.temporaryPasswordExpiresAt
+    });
+  } catch (error) {
+    console.error("Reset Password Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Change a User's Role (Admin Only)
+router.put("/users/:userId/role", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!allowedRoles.includes(role)) {
+      return res.status(400).json({ message: "Invalid role." });
+    }
+
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.role === role) {
+      return res.status(400).json({ message: `${user.name} is already ${role}.` });
+    }
+
+    // Keep at least one approved, active Admin
+    if (user.role === "Admin") {
+      const otherAdmins = await User.countDocuments({
+        role: "Admin",
+        isApproved: true,
+        isActive: { $ne: false },
+        _id: { $ne: user._id }
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({ message: "Cannot change the role of the last active Admin." });
+      }
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+
+    console.log(`🔁 ${user.name} role changed from ${previousRole} to ${role} by ${req.user.name}`);
+
+    res.json({
+      success: true,
+      message: `${user.name}'s role changed from ${previousRole} to ${role}.`,
+      user: { _id: user._id, name: user.name, role: user.role }
+    });
+  } catch (error) {
+    console.error("Change Role Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Deactivate User (Admin Only) - keeps the record for stage history
+router.post("/users/:userId/deactivate", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: "You cannot deactivate your own account." });
+    }
+
+    if (user.isActive === false) {
+      return res.status(400).json({ message: "User is already deactivated." });
+    }
+
+    if (user.role === "Admin") {
+      const otherAdmins = await User.countDocuments({
+        role: "Admin",
+        isApproved: true,
+        isActive: { $ne: false },
+        _id: { $ne: user._id }
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({ message: "Cannot deactivate the last Admin." });
+      }
+    }
+
+    user.isActive = false;
+    user.deactivatedAt = new Date();
+    user.deactivatedBy = req.user._id;
+    user.deactivationReason = req.body.reason?.trim() || null;
+    await user.save();
+
+    await revokeUserSessions(user._id, req.user._id, "User deactivated");
+    console.log(`🚫 ${user.name} deactivated by ${req.user.name}`);
+
+    res.json({ success: true, message: `${user.name} has been deactivated.` });
+  } catch (error) {
+    console.error("Deactivate User Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Reactivate User (Admin Only)
+router.post("/users/:userId/reactivate", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
+    const user = await User.findById(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.isActive !== false) {
+      return res.status(400).json({ message: "User is already active." });
+    }
+
+    user.isActive = true;
+    user.deactivatedAt = null;
+    user.deactivatedBy = null;
+    user.deactivationReason = null;
+    await user.save();
+
+    console.log(`✅ ${user.name} reactivated by ${req.user.name}`);
+
+    res.json({ success: true, message: `${user.name} has been reactivated.` });
+  } catch (error) {
+    console.error("Reactivate User Error:", error);
+    res.status(500).json({ success: false, message: "Server error", error });
+  }
+});
+
+// ✅ Delete User (Admin Only) - only for users with no workshop history
+router.delete("/users/:userId", authMiddleware, requirePermission("users:manage"), async (req, res) => {
+  try {
     const userId = req.params.userId;
-    const deletedUser = await User.findByIdAndDelete(userId);
+    const user = await User.findById(userId);
 
-    if (!deletedUser) {
+    if (!user) {
       return res.status(404).json({ message: "User not found" });
     }
 
+    if (user._id.equals(req.user._id)) {
+      return res.status(400).json({ message: "You cannot delete your own account." });
+    }
+
+    if (user.role === "Admin" && user.isApproved && user.isActive !== false) {
+      const otherAdmins = await User.countDocuments({
+        role: "Admin",
+        isApproved: true,
+        isActive: { $ne: false },
+        _id: { $ne: user._id }
+      });
+      if (otherAdmins === 0) {
+        return res.status(400).json({ message: "Cannot delete the last Admin." });
+      }
+    }
+
+    const hasWorkshopHistory = await Vehicle.exists({
+      $or: [
+        { "stages.performedBy.userId": user._id },
+        { "stages.impersonatedBy.userId": user._id },
+        { "stages.voided.voidedBy.userId": user._id },
+        { "stages.corrections.correctedBy.userId": user._id },
+        { "bayMoves.movedBy.userId": user._id },
+        { "labour.technician.userId": user._id },
+        { "additionalWork.raisedBy.userId": user._id },
+        { "additionalWork.estimatedBy.userId": user._id },
+        { "additionalWork.decisionRecordedBy.userId": user._id },
+        { "partsRequests.requestedBy.userId": user._id },
+        { "partsRequests.issuedBy.userId": user._id },
+        { "partsRequests.statusHistory.by.userId": user._id }
+      ]
+    });
+    if (hasWorkshopHistory) {
+      return res.status(409).json({
+        message: "User has recorded workshop history and cannot be deleted. Deactivate the user instead."
+      });
+    }
+
+    await User.findByIdAndDelete(user._id);
+    await revokeUserSessions(user._id, req.user._id, "User deleted");
+
     res.json({ success: true, message: "User deleted successfully" });
   } catch (error) {
     console.error(error);
@@ -236,4 +1274,13 @@ router.delete("/users/:userId", authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = { router, authMiddleware, User };
+module.exports = {
+  router,
+  authMiddleware,
+  User,
+  allowedRoles,
+  isPasswordHashed,
+  hashPassword,
+  createSession,
+  revokeUserSessions
+};
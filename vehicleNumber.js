@@ -0,0 +1,94 @@
+// Indian registration numbers are stored in one canonical form: upper case, no
+// spaces or punctuation, RTO code padded to two digits and number to four
+// ("mh 2 ab 123" -> "MH02AB0123"), so every way of typing a plate finds the same vehicle.
+
+// State and union territory codes, including retired ones still seen on older vehicles
+const STATE_CODES = [
+  "AN", "AP", "AR", "AS", "BR", "CG", "CH", "DD", "DL", "DN", "GA", "GJ", "HP", "HR",
+  "JH", "JK", "KA", "KL", "LA", "LD", "MH", "ML", "MN", "MP", "MZ", "NL", "OD", "OR",
+  "PB", "PY", "RJ", "SK", "TG", "TN", "TR", "TS", "UA", "UK", "UP", "WB"
+];
+
+// MH 12 AB 1234, DL 3C AB 1234, KA 01 1234
+const STANDARD = /^([A-Z]{2})(\d{1,2})([A-Z]{0,3})(\d{1,4})$/;
+// Bharat series: 22 BH 1234 AA
+const BH_SERIES = /^(\d{2})BH(\d{4})([A-Z]{1,2})$/;
+// Temporary registration: T 1024 MH 1234 AB (T + month and year of issue + state + number + series)
+const TEMPORARY = /^T(\d{2})(\d{2})([A-Z]{2})(\d{4})([A-Z]{1,2})$/;
+// Older state-issued temporary numbers: MH 12 TEMP 1234
+const LEGACY_TEMPORARY = /^([A-Z]{2})(\d{1,2})TEMP(\d{1,4})$/;
+
+const compactVehicleNumber = (value) => String(value || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+
+const pad = (digits, length) => digits.padStart(length, "0");
+
+/**
+ * Validates and normalises a registration number. Returns
+ * { vehicleNumber, registrationType } with registrationType "standard", "bh" or
+ * "temporary", or { error } when the value is not a recognised Indian plate.
+ */
+const parseVehicleNumber = (value) => {
+  const compact = compactVehicleNumber(value);
+  if (!compact) {
+    return { error: "Vehicle number is required." };
+  }
+
+  let match = compact.match(BH_SERIES);
+  if (match) {
+    const [, year, number, series] = match;
+    return { vehicleNumber: `${year}BH${number}${series}`, registrationType: "bh" };
+  }
+
+  match = compact.match(TEMPORARY);
+  if (match) {
+    const [, month, year, state, number, series] = match;
+    if (Number(month) >= 1 && Number(month) <= 12 && STATE_CODES.includes(state)) {
+      return { vehicleNumber: `T${month}${year}${state}${number}${series}`, registrationType: "temporary" };
+    }
+  }
+
+  match = compact.match(LEGACY_TEMPORARY);
+  if (match) {
+    const [, state, rto, number] = match;
+    if (STATE_CODES.includes(state)) {
+      return { vehicleNumber: `${state}${pad(rto, 2)}TEMP${pad(number, 4)}`, registrationType: "temporary" };
+    }
+  }
+
+  match = compact.match(STANDARD);
+  if (match) {
+    const [, state, rto, series, number] = match;
+    if (STATE_CODES.includes(state) && Number(rto) > 0 && Number(number) > 0) {
+      return { vehicleNumber: `${state}${pad(rto, 2)}${series}${pad(number, 4)}`, registrationType: "standard" };
+    }
+  }
+
+  return {
+    error: `"${String(value).trim()}" is not a valid Indian registration number (e.g. MH12AB1234, 22BH1234AA or T1024MH1234AB).`
+  };
+};
+
+// Canonical form, or null when the value is not a valid plate
+const normalizeVehicleNumber = (value) => parseVehicleNumber(value).vehicleNumber || null;
+
+// Characters that plate readers and people commonly mistake for each other
+const LOOKALIKES = [["0", "O", "D", "Q"], ["1", "I", "L"], ["2", "Z"], ["5", "S"], ["6", "G"], ["8", "B"]];
+
+// Regex source matching a partial plate anywhere in a stored vehicle number,
+// treating lookalike characters as the same ("MHI2" finds "MH12AB1234")
+const fuzzyVehicleNumberPattern = (value) => {
+  const compact = compactVehicleNumber(value);
+  if (!compact) return null;
+  return compact.split("").map(ch => {
+    const group = LOOKALIKES.find(g => g.includes(ch));
+    return group ? `[${group.join("")}]` : ch;
+  }).join("");
+};
+
+module.exports = {
+  STATE_CODES,
+  compactVehicleNumber,
+  parseVehicleNumber,
+  normalizeVehicleNumber,
+  fuzzyVehicleNumberPattern
+};
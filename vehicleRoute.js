@@ -1,495 +1,924 @@
 const express = require("express");
+const mongoose = require("mongoose");
 const router = express.Router();
 const Vehicle = require("./models/vehicle");
+const ScanReceipt = require("./models/scanReceipt");
 const {authMiddleware} = require("./userAuth");
+const { requirePermission, stageAction, hasPermission } = require("./permissions");
+const { scanAuthMiddleware } = require("./stationAuth");
+const { findBayConflicts, findBayJobEvents, rehomeBayJob } = require("./bayOccupancy");
+const { clockOn, clockOff, clockOffOtherVehicles } = require("./bayLabour");
+const { findActivePauseReason } = require("./pauseReasons");
+const { parseVisitDetails, applyVisitDetails, normalizePhone, visitSummary } = require("./visitDetails");
+const { setPromisedDelivery } = require("./deliveryTracking");
+const { ADDITIONAL_WORK_APPROVAL_STAGE, linkApprovalScan, linkResumedBayWork } = require("./additionalWork");
+const { getActiveWorkflow, findStageDefinition, evaluateScan, belongsToStage } = require("./workflowEngine");
+const { parseVehicleNumber, compactVehicleNumber, normalizeVehicleNumber, fuzzyVehicleNumberPattern } = require("./vehicleNumber");
+const { buildVisitTimeline, visitHistoryEntry } = require("./visitTimeline");
 
-// ✅ 1️⃣ POST: Handle Vehicle Check-in and Stage Updates
+// Identity fields for a new stage event. Under a login-as token performedBy is the
+// impersonated user and impersonatedBy records the Admin/Workshop Manager behind it.
+// Kiosk scans also record the station the badge was scanned at.
+const stageActor = (req) => ({
+  performedBy: {
+    userId: req.user._id,
+    userName: req.user.name
+  },
+  impersonatedBy: req.impersonator
+    ? { userId: req.impersonator._id, userName: req.impersonator.name }
+    : null,
+  station: req.station
+    ? { stationId: req.station._id, stationName: req.station.name }
+    : null
+});
 
-router.post("/vehicle-check", authMiddleware, async (req, res) => {
-  console.log("🔹 Incoming Request Data:", req.body);
+// Resolves the stage permission being exercised; missing fields are rejected by the route itself
+const vehicleCheckAction = (req) => {
+  const { stageName, eventType } = req.body;
+  return stageName && eventType ? stageAction(stageName, eventType) : null;
+};
 
-  try {
-    let {
-      vehicleNumber,
-      role,
-      stageName,
-      eventType,
-      inKM,
-      outKM,
-      inDriver,
-      outDriver,
-      workType,
-      bayNumber,
-    } = req.body;
-
-    // Validate required fields
-    if (!vehicleNumber || !stageName || !eventType) {
-      console.log("❌ Missing required fields");
-      return res.status(400).json({
-        success: false,
-        message: "Vehicle number, stage name and event type are required."
-      });
-    }
+// The same user scanning the same vehicle, stage and event again within this window is a double tap
+const DUPLICATE_SCAN_WINDOW_MS = 10 * 1000;
 
-    // Validate user role matches the role in request
-    if (req.user.role !== role) {
-      return res.status(403).json({
-        success: false,
-        message: "Your user role doesn't match the requested action role"
-      });
-    }
+// Validates one scan against the workflow and records it. Shared by /vehicle-check and
+// the offline batch sync. `now` is when the scan happened (the device time for offline
+// scans) and `extraFields` are added to the recorded stage event.
+// Resolves to { status, body, stage } for the caller to send.
+const recordScan = async (req, scan, now = new Date(), extraFields = {}) => {
+  const {
+    vehicleNumber,
+    role,
+    stageName,
+    eventType,
+    inKM,
+    outKM,
+    inDriver,
+    outDriver,
+    workType,
+    bayNumber,
+    pauseReason,
+    pauseNote,
+    visitDetails,
+  } = scan;
 
-    const formattedVehicleNumber = vehicleNumber.trim().toUpperCase();
-    
-    // Find the most recent active vehicle entry
-    let vehicle = await Vehicle.findOne({
-      vehicleNumber: formattedVehicleNumber,
-      exitTime: null
-    }).sort({ entryTime: -1 });
+  const reject = (status, message) => ({ status, body: { success: false, message } });
 
-    // SECURITY GUARD SPECIFIC LOGIC
-    if (role === "Security Guard") {
-      // ENTRY LOGIC
-      if (eventType === "Start") {
-        const twelveHoursAgo = new Date();
-        twelveHoursAgo.setHours(twelveHoursAgo.getHours() - 12);
-
-        // Check for recent entries
-        const recentVehicle = await Vehicle.findOne({
-          vehicleNumber: formattedVehicleNumber,
-          entryTime: { $gte: twelveHoursAgo },
-          exitTime: null,
-        });
+  // Validate required fields
+  if (!vehicleNumber || !stageName || !eventType) {
+    console.log("❌ Missing required fields");
+    return reject(400, "Vehicle number, stage name and event type are required.");
+  }
 
-        if (recentVehicle) {
-          // Close all previous open entries
-          await Vehicle.updateMany(
-            { vehicleNumber: formattedVehicleNumber, exitTime: null },
-            { $set: { exitTime: new Date() } }
-          );
-          console.log(`🔹 Closed previous open entries for ${formattedVehicleNumber}`);
-        }
+  // Validate user role matches the role in request
+  if (req.user.role !== role) {
+    return reject(403, "Your user role doesn't match the requested action role");
+  }
 
-        // Create new entry
-        const newVehicle = new Vehicle({
-          vehicleNumber: formattedVehicleNumber,
-          entryTime: new Date(),
-          exitTime: null,
-          stages: [{
-            stageName,
-            role,
-            eventType,
-            timestamp: new Date(),
-            performedBy: {
-              userId: req.user._id,
-              userName: req.user.name
-            },
-            inKM: inKM || null,
-            outKM: null,
-            inDriver: inDriver || null,
-            outDriver: null
-          }]
-        });
+  const plate = parseVehicleNumber(vehicleNumber);
+  if (plate.error) {
+    return reject(400, plate.error);
+  }
+  const formattedVehicleNumber = plate.vehicleNumber;
 
-        await newVehicle.save();
-        return res.status(201).json({
-          success: true,
-          message: "New vehicle entry recorded",
-          vehicle: newVehicle
-        });
-      }
+  // Every scan is checked against the active workflow definition
+  const workflow = await getActiveWorkflow();
+  const definition = findStageDefinition(workflow, stageName, role);
+  if (!definition) {
+    return reject(400, `${stageName} is not a stage in the workshop workflow.`);
+  }
 
-      // EXIT LOGIC
-      if (eventType === "End") {
-        if (!vehicle) {
-          return res.status(400).json({
-            success: false,
-            message: "No active vehicle entry found to close"
-          });
-        }
+  // Find the most recent active vehicle entry
+  let vehicle = await Vehicle.findOne({
+    vehicleNumber: formattedVehicleNumber,
+    exitTime: null
+  }).sort({ entryTime: -1 });
 
-        // Update the vehicle exit
-        vehicle.exitTime = new Date();
-        vehicle.stages.push({
-          stageName,
-          role,
-          eventType,
-          timestamp: new Date(),
-          performedBy: {
-            userId: req.user._id,
-            userName: req.user.name
-          },
-          inKM: null,
-          outKM: outKM || null,
-          inDriver: null,
-          outDriver: outDriver || null
-        });
+  // Double taps and retries sent without an idempotency key
+  const duplicateScan = vehicle && vehicle.stages.find(s =>
+    !s.voided &&
+    s.performedBy.userId.equals(req.user._id) &&
+    s.eventType === eventType &&
+    (s.stageName === stageName ||
+      (!definition.gate && belongsToStage(s.stageName, definition.stageName, definition.numbering))) &&
+    // Bay Work for another work type or bay is a separate job, not a repeat
+    (definition.numbering !== "bayWork" || (s.workType === (workType || null) && s.bayNumber == bayNumber)) &&
+    Math.abs(now - s.timestamp) < DUPLICATE_SCAN_WINDOW_MS
+  );
+  if (duplicateScan) {
+    console.log(`⚠️ Duplicate scan ignored: ${formattedVehicleNumber} ${duplicateScan.stageName} ${eventType}`);
+    return reject(409, `${duplicateScan.stageName} ${eventType} was already recorded a moment ago.`);
+  }
 
-        await vehicle.save();
-        return res.status(200).json({
-          success: true,
-          message: "Vehicle exit recorded",
-          vehicle
-        });
+  const evaluation = evaluateScan({
+    definition,
+    stages: vehicle ? vehicle.stages.filter(s => !s.voided) : [],
+    stageName,
+    eventType,
+    role,
+    workType,
+    bayNumber,
+    now
+  });
+
+  if (!evaluation.allowed) {
+    return reject(evaluation.status, evaluation.message);
+  }
+
+  // Every Pause has to say why the work stopped
+  let pauseReasonCode = null;
+  if (eventType === "Pause") {
+    const reason = await findActivePauseReason(pauseReason);
+    if (!reason) {
+      return reject(400, "A valid pause reason is required to pause work.");
+    }
+    if (reason.code === "OTHER" && !(pauseNote && String(pauseNote).trim())) {
+      return reject(400, "Please describe the reason when pausing for Other.");
+    }
+    pauseReasonCode = reason.code;
+  }
+
+  // Job card and customer details sent with the scan
+  let visitDetailValues = null;
+  if (definition.collectsVisitDetails && eventType === "Start" && visitDetails) {
+    const parsed = parseVisitDetails(visitDetails);
+    if (parsed.errors.length > 0) {
+      return reject(400, parsed.errors.join(" "));
+    }
+    visitDetailValues = parsed.values;
+  }
+
+  // Another vehicle is already being worked on in the requested bay
+  if (definition.numbering === "bayWork" && eventType === "Start" && definition.bayConflict !== "allow") {
+    const conflicts = await findBayConflicts(bayNumber, vehicle ? vehicle._id : null);
+    if (conflicts.length > 0) {
+      const occupiedBy = `Bay ${Number(bayNumber)} is occupied by ${conflicts.map(c => `${c.vehicleNumber} (${c.workType})`).join(", ")}.`;
+      if (definition.bayConflict === "block") {
+        return reject(409, `${occupiedBy} Please choose another bay or end that work first.`);
       }
+      evaluation.warnings.push({ type: "bayConflict", message: `Warning: ${occupiedBy}` });
     }
+  }
+
+  // GATE LOGIC (Security Guard by default)
+  if (definition.gate) {
+    // ENTRY LOGIC
+    if (eventType === "Start") {
+      const twelveHoursAgo = new Date(now);
+      twelveHoursAgo.setHours(twelveHoursAgo.getHours() - 12);
 
-    // FOR OTHER ROLES - ALLOW NEW ENTRY IF VEHICLE DOESN'T EXIST
-    if (!vehicle && eventType === "Start") {
-      // Create new entry for non-security roles
+      // Check for recent entries
+      const recentVehicle = await Vehicle.findOne({
+        vehicleNumber: formattedVehicleNumber,
+        entryTime: { $gte: twelveHoursAgo },
+        exitTime: null,
+      });
+
+      if (recentVehicle) {
+        // Close all previous open entries
+        await Vehicle.updateMany(
+          { vehicleNumber: formattedVehicleNumber, exitTime: null },
+          { $set: { exitTime: now } }
+        );
+        console.log(`🔹 Closed previous open entries for ${formattedVehicleNumber}`);
+      }
+
+      // Create new entry
       const newVehicle = new Vehicle({
         vehicleNumber: formattedVehicleNumber,
-        entryTime: new Date(),
+        entryTime: now,
         exitTime: null,
         stages: [{
           stageName,
           role,
           eventType,
-          timestamp: new Date(),
-          performedBy: {
-            userId: req.user._id,
-            userName: req.user.name
-          },
-          workType: role === "Bay Technician" ? workType || null : null,
-          bayNumber: role === "Bay Technician" ? bayNumber || null : null
+          timestamp: now,
+          ...stageActor(req),
+          inKM: inKM || null,
+          outKM: null,
+          inDriver: inDriver || null,
+          outDriver: null,
+          ...extraFields
         }]
       });
 
       await newVehicle.save();
-      return res.status(201).json({
-        success: true,
-        message: "New vehicle entry recorded",
-        vehicle: newVehicle
-      });
-    } else if (!vehicle && eventType !== "Start") {
-      return res.status(400).json({
-        success: false,
-        message: "No active vehicle entry found. Please start a new entry first."
+      return {
+        status: 201,
+        body: { success: true, message: "New vehicle entry recorded", vehicle: newVehicle },
+        stage: newVehicle.stages[0]
+      };
+    }
+
+    // EXIT LOGIC
+    if (eventType === "End") {
+      if (!vehicle) {
+        return reject(400, "No active vehicle entry found to close");
+      }
+
+      // Update the vehicle exit
+      vehicle.exitTime = now;
+      vehicle.stages.push({
+        stageName,
+        role,
+        eventType,
+        timestamp: now,
+        ...stageActor(req),
+        inKM: null,
+        outKM: outKM || null,
+        inDriver: null,
+        outDriver: outDriver || null,
+        ...extraFields
       });
+
+      await vehicle.save();
+      return {
+        status: 200,
+        body: { success: true, message: "Vehicle exit recorded", vehicle },
+        stage: vehicle.stages[vehicle.stages.length - 1]
+      };
     }
+  }
 
-    // BAY WORK SPECIFIC LOGIC
-    if (stageName.startsWith("Bay Work")) {
-      const bayWorkStages = vehicle.stages.filter(stage =>
-        stage.stageName.startsWith("Bay Work")
-      );
-    
-      const bayNum = isNaN(bayNumber) ? bayNumber : Number(bayNumber);
-    
-      if (eventType === "Start") {
-        const bayWorkCount = bayWorkStages.filter(stage =>
-          stage.workType === workType &&
-          stage.bayNumber == bayNum &&
-          stage.eventType === "Start"
-        ).length;
-    
-        const unfinishedSameBayWork = bayWorkStages.find(stage =>
-          stage.workType === workType &&
-          stage.bayNumber == bayNum &&
-          stage.eventType === "Start" &&
-          !bayWorkStages.some(s =>
-            s.workType === workType &&
-            s.bayNumber == bayNum &&
-            s.eventType === "End" &&
-            s.timestamp > stage.timestamp
-          )
-        );
-    
-        if (unfinishedSameBayWork) {
-          return res.status(400).json({
-            success: false,
-            message: `Please end the previous ${workType} work in bay ${bayNum} first`
-          });
-        }
-    
-        const unfinishedAnyWork = bayWorkStages.find(stage =>
-          stage.eventType === "Start" &&
-          !bayWorkStages.some(s =>
-            s.eventType === "End" &&
-            s.timestamp > stage.timestamp
-          )
-        );
-    
-        if (unfinishedAnyWork) {
-          vehicle.stages.push({
-            stageName: unfinishedAnyWork.stageName,
-            role: unfinishedAnyWork.role,
-            eventType: "End",
-            timestamp: new Date(),
-            performedBy: {
-              userId: req.user._id,
-              userName: req.user.name
-            },
-            workType: null,
-            bayNumber: null,
-            autoClosed: true
-          });
-          console.log(`⚠️ Auto-closed previous unfinished Bay Work: ${unfinishedAnyWork.stageName}`);
-        }
-    
-        stageName = `Bay Work: ${workType}: ${bayWorkCount + 1}`;
+  const isBayWork = definition.numbering === "bayWork";
+  const warningMessage = evaluation.warnings.length > 0 ? evaluation.warnings.map(w => w.message).join(" ") : null;
+  if (warningMessage) {
+    console.log(`⚠️ Alert: ${formattedVehicleNumber} ${evaluation.stageName}: ${warningMessage}`);
+  }
+
+  const newStage = {
+    stageName: evaluation.stageName,
+    role,
+    eventType,
+    timestamp: now,
+    ...stageActor(req),
+    workType: isBayWork ? workType || null : null,
+    bayNumber: isBayWork ? bayNumber || null : null,
+    pauseReason: pauseReasonCode,
+    pauseNote: pauseReasonCode && pauseNote ? String(pauseNote).trim() : null,
+    warnings: evaluation.warnings,
+    ...extraFields
+  };
+
+  // FOR OTHER ROLES - ALLOW NEW ENTRY IF VEHICLE DOESN'T EXIST
+  if (!vehicle && eventType === "Start") {
+    const newVehicle = new Vehicle({
+      vehicleNumber: formattedVehicleNumber,
+      entryTime: now,
+      exitTime: null,
+      stages: [newStage]
+    });
+
+    if (isBayWork) {
+      clockOn(newVehicle, newVehicle.stages[0], stageActor(req).performedBy, now);
+    }
+    if (visitDetailValues) {
+      applyVisitDetails(newVehicle, visitDetailValues, { ...stageActor(req).performedBy, role }, now);
+    }
+
+    await newVehicle.save();
+    if (isBayWork) {
+      await clockOffOtherVehicles(req.user._id, newVehicle._id, now);
+    }
+    return {
+      status: 201,
+      body: { success: true, message: warningMessage || "New vehicle entry recorded", vehicle: newVehicle },
+      stage: newVehicle.stages[0]
+    };
+  } else if (!vehicle) {
+    return reject(400, "No active vehicle entry found. Please start a new entry first.");
+  }
+
+  // Starting new Bay Work closes any Bay Work left open on the vehicle
+  for (const unfinished of evaluation.autoClose) {
+    vehicle.stages.push({
+      stageName: unfinished.stageName,
+      role: unfinished.role,
+      eventType: "End",
+      timestamp: now,
+      ...stageActor(req),
+      workType: unfinished.workType || null,
+      bayNumber: unfinished.bayNumber || null,
+      autoClosed: true,
+      ...extraFields
+    });
+    console.log(`⚠️ Auto-closed previous unfinished Bay Work: ${unfinished.stageName}`);
+  }
+
+  // Add the new stage to the existing vehicle document
+  vehicle.stages.push(newStage);
+
+  // Tie the scan to the additional work request it belongs to
+  const recordedStage = vehicle.stages[vehicle.stages.length - 1];
+  if (definition.stageName === ADDITIONAL_WORK_APPROVAL_STAGE && eventType === "Start") {
+    linkApprovalScan(vehicle, recordedStage);
+  }
+  if (isBayWork && ["Start", "Resume"].includes(eventType)) {
+    linkResumedBayWork(vehicle, recordedStage);
+  }
+
+  // Bay Work labour: whoever starts a job is clocked on, and ending a job clocks everyone off
+  if (isBayWork) {
+    evaluation.autoClose.forEach(unfinished => clockOff(vehicle, unfinished, null, now, "jobEnded"));
+    if (eventType === "Start") {
+      clockOn(vehicle, recordedStage, stageActor(req).performedBy, now);
+    } else if (eventType === "End") {
+      clockOff(vehicle, evaluation.jobStart, null, now, "jobEnded");
+    }
+  }
+
+  if (visitDetailValues) {
+    applyVisitDetails(vehicle, visitDetailValues, { ...stageActor(req).performedBy, role }, now);
+  }
+
+  await vehicle.save();
+  if (isBayWork && eventType === "Start") {
+    await clockOffOtherVehicles(req.user._id, vehicle._id, now);
+  }
+
+  return {
+    status: 200,
+    body: { success: true, message: warningMessage || `${evaluation.stageName} updated successfully.`, vehicle },
+    stage: recordedStage
+  };
+};
+
+// A reserved idempotency key older than this belongs to a request that died mid-way
+const PENDING_RECEIPT_TIMEOUT_MS = 2 * 60 * 1000;
+
+// How long a key is remembered: live retries come within minutes, offline devices
+// may hold scans for days
+const LIVE_RECEIPT_TTL_MS = 24 * 60 * 60 * 1000;
+const OFFLINE_RECEIPT_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Runs `record` at most once per user and idempotency key. A repeated key gets the
+// original result back with duplicate: true. Rejected scans are not remembered, so
+// they can be sent again once the problem has been fixed.
+const recordOnce = async (req, idempotencyKey, ttlMs, record) => {
+  let receipt;
+  try {
+    receipt = await ScanReceipt.create({
+      userId: req.user._id,
+      idempotencyKey,
+      expiresAt: new Date(Date.now() + ttlMs)
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const existing = await ScanReceipt.findOne({ userId: req.user._id, idempotencyKey });
+    const isAbandoned = existing && existing.status === "pending" &&
+      Date.now() - existing.createdAt > PENDING_RECEIPT_TIMEOUT_MS;
+    // The TTL monitor only runs every minute, so expired keys can still be present
+    const isExpired = existing && existing.expiresAt <= new Date();
+    if (isAbandoned || isExpired) {
+      await ScanReceipt.deleteOne({ _id: existing._id, status: existing.status });
+      return recordOnce(req, idempotencyKey, ttlMs, record);
+    }
+    if (!existing || existing.status === "pending") {
+      return {
+        status: 409,
+        body: { success: false, message: "This scan is already being processed." },
+        duplicate: true
+      };
+    }
+
+    const vehicle = await Vehicle.findById(existing.vehicleId);
+    return {
+      status: existing.httpStatus,
+      body: { success: true, message: existing.message, vehicle },
+      stage: vehicle ? vehicle.stages.id(existing.stageId) : null,
+      duplicate: true
+    };
+  }
+
+  try {
+    const result = await record();
+
+    if (!result.body.success) {
+      await ScanReceipt.deleteOne({ _id: receipt._id });
+      return result;
+    }
+
+    receipt.set({
+      status: "accepted",
+      vehicleId: result.body.vehicle._id,
+      stageId: result.stage._id,
+      httpStatus: result.status,
+      message: result.body.message,
+      stageName: result.stage.stageName
+    });
+    await receipt.save();
+    return result;
+  } catch (error) {
+    await ScanReceipt.deleteOne({ _id: receipt._id });
+    throw error;
+  }
+};
+
+// ✅ 1️⃣ POST: Handle Vehicle Check-in and Stage Updates
+// Accepts a user token, or a station key with the scanner's badge number and PIN
+router.post("/vehicle-check", scanAuthMiddleware, requirePermission(vehicleCheckAction), async (req, res) => {
+  console.log("🔹 Incoming Request Data:", req.body);
+
+  try {
+    // Optional header so a retried request returns the first response instead of scanning twice
+    const idempotencyKey = (req.get("Idempotency-Key") || "").trim();
+
+    const result = idempotencyKey
+      ? await recordOnce(req, idempotencyKey, LIVE_RECEIPT_TTL_MS, () => recordScan(req, req.body))
+      : await recordScan(req, req.body);
+
+    if (result.duplicate) {
+      res.set("Idempotent-Replayed", "true");
+    }
+    return res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("❌ Error in /vehicle-check:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+});
+
+// Offline scan limits: batch size, how far device clocks may run ahead, and how old a scan may be
+const MAX_BATCH_EVENTS = 200;
+const MAX_CLOCK_SKEW_MS = 2 * 60 * 1000;
+const MAX_OFFLINE_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+// ✅ POST: Upload scans captured while the device was offline
+// Each event carries its device timestamp and a client-generated idempotencyKey.
+// Events are replayed oldest first through the same checks as /vehicle-check.
+router.post("/vehicle-check/batch", authMiddleware, async (req, res) => {
+  try {
+    const { events } = req.body;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({ success: false, message: "events must be a non-empty array." });
+    }
+    if (events.length > MAX_BATCH_EVENTS) {
+      return res.status(400).json({ success: false, message: `A batch can contain at most ${MAX_BATCH_EVENTS} events.` });
+    }
+
+    const receivedAt = new Date();
+    const results = new Array(events.length);
+
+    const replayable = [];
+    events.forEach((event, index) => {
+      const idempotencyKey = event && typeof event.idempotencyKey === "string" ? event.idempotencyKey.trim() : "";
+      const scannedAt = new Date(event && event.timestamp);
+      const base = { index, idempotencyKey: idempotencyKey || null, vehicleNumber: event?.vehicleNumber || null };
+
+      if (!idempotencyKey) {
+        results[index] = { ...base, status: "rejected", httpStatus: 400, message: "idempotencyKey is required." };
+      } else if (isNaN(scannedAt.getTime())) {
+        results[index] = { ...base, status: "rejected", httpStatus: 400, message: "A valid timestamp is required." };
+      } else if (scannedAt - receivedAt > MAX_CLOCK_SKEW_MS) {
+        results[index] = { ...base, status: "rejected", httpStatus: 400, message: "Timestamp is in the future. Please check the device clock." };
+      } else if (receivedAt - scannedAt > MAX_OFFLINE_AGE_MS) {
+        results[index] = { ...base, status: "rejected", httpStatus: 400, message: "Scan is too old to sync. Please ask a Workshop Manager to record it." };
+      } else {
+        // Small clock drift ahead of the server is clamped to the time of upload
+        replayable.push({ event, base, scannedAt: scannedAt > receivedAt ? receivedAt : scannedAt });
       }
-    
-      if (["Pause", "Resume", "End"].includes(eventType)) {
-        const lastStart = bayWorkStages
-          .filter(stage =>
-            stage.workType === workType &&
-            stage.bayNumber == bayNum &&
-            stage.eventType === "Start" &&
-            stage.stageName.startsWith("Bay Work")
-          )
-          .sort((a, b) => b.timestamp - a.timestamp)[0];
-    
-        if (!lastStart) {
-          return res.status(400).json({
-            success: false,
-            message: `Cannot ${eventType.toLowerCase()} - no active ${workType} work in bay ${bayNum}`
-          });
+    });
+
+    // Array.prototype.sort is stable, so events with the same timestamp keep their upload order
+    replayable.sort((a, b) => a.scannedAt - b.scannedAt);
+
+    for (const { event, base, scannedAt } of replayable) {
+      try {
+        const { stageName, eventType } = event;
+        if (stageName && eventType && !(await hasPermission(req.user.role, stageAction(stageName, eventType)))) {
+          results[base.index] = {
+            ...base,
+            status: "rejected",
+            httpStatus: 403,
+            message: "Access Denied. Your role is not allowed to perform this action."
+          };
+          continue;
         }
-    
-        const hasEnded = bayWorkStages.some(stage =>
-          stage.workType === workType &&
-          stage.bayNumber == bayNum &&
-          stage.eventType === "End" &&
-          stage.timestamp > lastStart.timestamp
+
+        const result = await recordOnce(req, base.idempotencyKey, OFFLINE_RECEIPT_TTL_MS, () =>
+          recordScan(req, event, scannedAt, { syncedAt: receivedAt })
         );
-    
-        if (hasEnded) {
-          return res.status(400).json({
-            success: false,
-            message: `Cannot ${eventType.toLowerCase()} - work has already ended`
-          });
-        }
-    
-        const pauses = bayWorkStages
-          .filter(stage =>
-            stage.workType === workType &&
-            stage.bayNumber == bayNum &&
-            stage.eventType === "Pause" &&
-            stage.timestamp > lastStart.timestamp
-          )
-          .sort((a, b) => b.timestamp - a.timestamp);
-    
-        const resumes = bayWorkStages
-          .filter(stage =>
-            stage.workType === workType &&
-            stage.bayNumber == bayNum &&
-            stage.eventType === "Resume" &&
-            stage.timestamp > lastStart.timestamp
-          )
-          .sort((a, b) => b.timestamp - a.timestamp);
-    
-        if (eventType === "Pause" && pauses.length > resumes.length) {
-          return res.status(400).json({
-            success: false,
-            message: "Work is already paused"
-          });
-        }
-    
-        if (eventType === "Resume" && (pauses.length === 0 || resumes.length >= pauses.length)) {
-          return res.status(400).json({
-            success: false,
-            message: "Work is not paused"
-          });
-        }
-    
-        if (eventType === "End" && pauses.length > resumes.length) {
-          return res.status(400).json({
-            success: false,
-            message: "Cannot end while work is paused - please resume first"
-          });
-        }
+
+        results[base.index] = {
+          ...base,
+          status: result.duplicate ? (result.body.success ? "duplicate" : "rejected") : (result.body.success ? "accepted" : "rejected"),
+          httpStatus: result.status,
+          message: result.body.message,
+          stageName: result.stage ? result.stage.stageName : null,
+          stageId: result.stage ? result.stage._id : null,
+          vehicleId: result.body.vehicle ? result.body.vehicle._id : null
+        };
+      } catch (error) {
+        console.error(`❌ Error syncing offline scan ${base.idempotencyKey}:`, error);
+        results[base.index] = { ...base, status: "rejected", httpStatus: 500, message: "Server error" };
       }
     }
 
-    // PREVENT DUPLICATE STAGE STARTS
-    if (eventType === "Start") {
-      const existingStage = vehicle.stages.find(stage => 
-        stage.stageName === stageName && stage.eventType === "Start"
-      );
-      
-      if (existingStage && !vehicle.stages.some(stage => 
-        stage.stageName === stageName && stage.eventType === "End"
-      )) {
-        return res.status(400).json({
+    const count = (status) => results.filter(r => r.status === status).length;
+    console.log(`📶 ${req.user.name} synced ${events.length} offline scans: ${count("accepted")} accepted, ${count("duplicate")} duplicate, ${count("rejected")} rejected`);
+
+    return res.status(200).json({
+      success: true,
+      accepted: count("accepted"),
+      duplicates: count("duplicate"),
+      rejected: count("rejected"),
+      results
+    });
+  } catch (error) {
+    console.error("❌ Error in /vehicle-check/batch:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Server error",
+      error: error.message
+    });
+  }
+});
+
+// Technicians may undo their own scans for a short while; after that, or for
+// someone else's scan, the stages:correct action (Workshop Manager) is needed
+const STAGE_CORRECTION_GRACE_MINUTES = 15;
+
+// Loads the vehicle and stage event and checks the caller may change it.
+// Sends the error response itself and returns null when not allowed.
+const loadCorrectableStage = async (req, res) => {
+  const { vehicleId, stageId } = req.params;
+  const { reason } = req.body;
+
+  if (!reason || !String(reason).trim()) {
+    res.status(400).json({ success: false, message: "A reason is required." });
+    return null;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(vehicleId) || !mongoose.Types.ObjectId.isValid(stageId)) {
+    res.status(400).json({ success: false, message: "Invalid vehicle or stage id." });
+    return null;
+  }
+
+  const vehicle = await Vehicle.findById(vehicleId);
+  const stage = vehicle && vehicle.stages.id(stageId);
+  if (!stage) {
+    res.status(404).json({ success: false, message: "Stage event not found." });
+    return null;
+  }
+
+  if (stage.voided) {
+    res.status(400).json({ success: false, message: "This stage event has already been voided." });
+    return null;
+  }
+
+  if (!(await hasPermission(req.user.role, "stages:correct"))) {
+    const isOwnScan = stage.performedBy.userId.equals(req.user._id);
+    const minutesSinceScan = (Date.now() - stage._id.getTimestamp()) / 60000;
+
+    if (!isOwnScan || minutesSinceScan > STAGE_CORRECTION_GRACE_MINUTES) {
+      res.status(403).json({
+        success: false,
+        message: `You can only change your own scans within ${STAGE_CORRECTION_GRACE_MINUTES} minutes. Please ask a Workshop Manager.`
+      });
+      return null;
+    }
+  }
+
+  const workflow = await getActiveWorkflow();
+  const definition = findStageDefinition(workflow, stage.stageName, stage.role);
+
+  return { vehicle, stage, isGate: Boolean(definition && definition.gate), reason: String(reason).trim() };
+};
+
+const correctionActor = (req) => ({ userId: req.user._id, userName: req.user.name });
+
+// ✅ Void a mistaken stage scan. The event is kept for audit but ignored from then on.
+router.post("/vehicles/:vehicleId/stages/:stageId/void", authMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadCorrectableStage(req, res);
+    if (!loaded) return;
+    const { vehicle, stage, isGate, reason } = loaded;
+
+    // Voiding the gate exit re-opens the visit, unless the vehicle has come back in since
+    if (isGate && stage.eventType === "End" && vehicle.exitTime) {
+      const laterVisit = await Vehicle.findOne({
+        _id: { $ne: vehicle._id },
+        vehicleNumber: vehicle.vehicleNumber,
+        exitTime: null
+      });
+      if (laterVisit) {
+        return res.status(409).json({
           success: false,
-          message: `${stageName} has already been started and can only be started once.`
+          message: "The vehicle has a newer open visit, so this exit cannot be voided."
         });
       }
+      vehicle.exitTime = null;
     }
 
-    // SERVICE ADVISOR LOGIC
-    if (role === "Service Advisor") {
-      if (stageName === "Additional Work Job Approval" && eventType === "Start") {
-        const additionalWorkCount = vehicle.stages.filter(stage => 
-          stage.stageName.startsWith("Additional Work Job Approval") && stage.eventType === "Start"
-        ).length;
-        stageName = `Additional Work Job Approval ${additionalWorkCount + 1}`;
-      }
+    stage.voided = { voidedAt: new Date(), voidedBy: correctionActor(req), reason };
+    await vehicle.save();
 
-      if (stageName === "Ready for Washing" && eventType === "Start") {
-        const hasJobCardCreation = vehicle.stages.some(stage => 
-          stage.stageName === "Job Card Creation + Customer Approval" && stage.eventType === "Start"
-        );
-        
-        if (!hasJobCardCreation) {
-          console.log(`⚠️ Alert: ${formattedVehicleNumber} attempted Ready for Washing without Job Card Creation`);
-          const warningMessage = `Warning: You should have started Job Card Creation + Customer Approval first. Alert has been sent to admin.`;
-          
-          vehicle.stages.push({
-            stageName,
-            role,
-            eventType,
-            timestamp: new Date(),
-            performedBy: {
-              userId: req.user._id,
-              userName: req.user.name
-            },
-            warning: warningMessage
-          });
-          
-          await vehicle.save();
-          return res.status(200).json({
-            success: true,
-            message: warningMessage,
-            vehicle
-          });
-        }
+    console.log(`↩️ ${req.user.name} voided ${stage.stageName} ${stage.eventType} on ${vehicle.vehicleNumber}: ${reason}`);
+    res.json({ success: true, message: `${stage.stageName} ${stage.eventType} has been voided.`, vehicle });
+  } catch (error) {
+    console.error("❌ Error in POST /vehicles/:vehicleId/stages/:stageId/void:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
 
-        const existingWashingStage = vehicle.stages.find(stage => 
-          stage.stageName === "Ready for Washing" && stage.eventType === "Start"
-        );
-        
-        if (existingWashingStage && !vehicle.stages.some(stage => 
-          stage.stageName === "Ready for Washing" && stage.eventType === "End"
-        )) {
-          return res.status(400).json({
-            success: false,
-            message: "Ready for Washing has already been started and not yet ended."
-          });
-        }
-      }
+// ✅ Correct the timestamp or bay of a stage scan. The original value is kept in stage.corrections.
+router.put("/vehicles/:vehicleId/stages/:stageId", authMiddleware, async (req, res) => {
+  try {
+    const { timestamp, bayNumber } = req.body;
+
+    if (timestamp === undefined && bayNumber === undefined) {
+      return res.status(400).json({ success: false, message: "Provide a timestamp or bayNumber to correct." });
     }
 
-    // JOB CONTROLLER LOGIC - UPDATED WITH ALL THREE STAGES
-    if (role === "Job Controller") {
-      // 1. Job Card Received + Bay Allocation
-      if (stageName === "Job Card Received + Bay Allocation" && eventType === "Start") {
-        const lastJobCardReceived = vehicle.stages
-          .filter(stage => stage.stageName.startsWith("Job Card Received + Bay Allocation") && stage.eventType === "Start")
-          .sort((a, b) => b.timestamp - a.timestamp)[0];
-        
-        // 30-minute cooldown check
-        if (lastJobCardReceived && (new Date() - new Date(lastJobCardReceived.timestamp)) / 60000 < 10) {
-          return res.status(400).json({
-            success: false,
-            message: "Job Card Received + Bay Allocation cannot be restarted within 10 minutes."
-          });
-        }
+    const loaded = await loadCorrectableStage(req, res);
+    if (!loaded) return;
+    const { vehicle, stage, isGate, reason } = loaded;
 
-        // Sequential numbering
-        const jobCardCount = vehicle.stages.filter(stage => 
-          stage.stageName.startsWith("Job Card Received + Bay Allocation") && stage.eventType === "Start"
-        ).length;
-        stageName = `Job Card Received + Bay Allocation ${jobCardCount + 1}`;
+    const changes = [];
+
+    if (timestamp !== undefined) {
+      const newTimestamp = new Date(timestamp);
+      if (isNaN(newTimestamp.getTime()) || newTimestamp > new Date()) {
+        return res.status(400).json({ success: false, message: "Timestamp must be a valid time that is not in the future." });
+      }
+      if (!isGate && (newTimestamp < vehicle.entryTime || (vehicle.exitTime && newTimestamp > vehicle.exitTime))) {
+        return res.status(400).json({ success: false, message: "Timestamp must fall within the vehicle's visit." });
       }
+      changes.push({ field: "timestamp", oldValue: stage.timestamp, newValue: newTimestamp });
+    }
 
-      // 2. Job Card Received (by Technician) - After Final Completion of work
-      if (stageName === "Job Card Received (by Technician)" && eventType === "Start") {
-        
-        
+    // A bay correction applies to the whole job, like /move-bay, so its events still pair up
+    let bayJobEvents = null;
+    let newBay = null;
+    if (bayNumber !== undefined) {
+      newBay = Number(bayNumber);
+      if (!stage.workType) {
+        return res.status(400).json({ success: false, message: "Only Bay Work events have a bay number." });
+      }
+      if (!Number.isInteger(newBay) || newBay < 1 || newBay > 15) {
+        return res.status(400).json({ success: false, message: "Bay number must be between 1 and 15." });
+      }
+      if (newBay === stage.bayNumber) {
+        return res.status(400).json({ success: false, message: `This job is already recorded in bay ${newBay}.` });
+      }
 
-        // Check if already received
-        const alreadyReceived = vehicle.stages.some(stage => 
-          stage.stageName === "Job Card Received (by Technician)" && stage.eventType === "Start"
-        );
-        
-        if (alreadyReceived) {
-          return res.status(400).json({
+      bayJobEvents = findBayJobEvents(vehicle, stage);
+      const isOpenJob = !vehicle.exitTime && !bayJobEvents.some(e => e.eventType === "End");
+      if (isOpenJob) {
+        const conflicts = await findBayConflicts(newBay, vehicle._id);
+        if (conflicts.length > 0) {
+          return res.status(409).json({
             success: false,
-            message: "Job card already received from Technician in this session."
+            message: `Bay ${newBay} is occupied by ${conflicts.map(c => c.vehicleNumber).join(", ")}.`
           });
         }
       }
+    }
 
-      // 3. Job Card Received (by FI) - After Completion of Final Inspection
-      if (stageName === "Job Card Received (by FI)" && eventType === "Start") {
+    const correctedAt = new Date();
+    changes.forEach(change => {
+      stage[change.field] = change.newValue;
+      stage.corrections.push({ ...change, reason, correctedBy: correctionActor(req), correctedAt });
+    });
+    if (bayJobEvents) {
+      rehomeBayJob(bayJobEvents, newBay, { reason, correctedBy: correctionActor(req), correctedAt });
+    }
 
-        // Check if already received
-        const alreadyReceived = vehicle.stages.some(stage => 
-          stage.stageName === "Job Card Received (by FI)" && stage.eventType === "Start"
-        );
-        
-        if (alreadyReceived) {
-          return res.status(400).json({
-            success: false,
-            message: "Job card already received from Final Inspector in this session."
-          });
-        }
-      }
+    // Gate scans define the visit window
+    if (isGate && timestamp !== undefined) {
+      if (stage.eventType === "Start") vehicle.entryTime = stage.timestamp;
+      if (stage.eventType === "End" && vehicle.exitTime) vehicle.exitTime = stage.timestamp;
     }
 
-    // TIME RESTRICTIONS FOR CERTAIN STAGES
-   const restrictedStages = ["Interactive Bay", "Washing", "Final Inspection", "Creation of Parts Estimate"];
-    if (restrictedStages.includes(stageName) && eventType === "End") {
-      const starts = vehicle.stages
-        .filter(stage => stage.stageName === stageName && stage.eventType === "Start")
-        .sort((a, b) => b.timestamp - a.timestamp);
+    await vehicle.save();
 
-      const ends = vehicle.stages
-        .filter(stage => stage.stageName === stageName && stage.eventType === "End")
-        .sort((a, b) => b.timestamp - a.timestamp);
+    console.log(`✏️ ${req.user.name} corrected ${stage.stageName} ${stage.eventType} on ${vehicle.vehicleNumber}: ${reason}`);
+    res.json({ success: true, message: `${stage.stageName} ${stage.eventType} has been corrected.`, vehicle });
+  } catch (error) {
+    console.error("❌ Error in PUT /vehicles/:vehicleId/stages/:stageId:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
 
-      let lastUnendedStart = null;
-      for (const start of starts) {
-        if (!ends.some(end => end.timestamp > start.timestamp)) {
-          lastUnendedStart = start;
-          break;
-        }
+// ✅ Set or update a visit's job card, customer and delivery details
+router.put("/vehicles/:vehicleId/visit-details", authMiddleware, requirePermission("visits:edit"), async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+
+    const { values, errors } = parseVisitDetails(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: errors.join(" "), errors });
+    }
+    if (Object.keys(values).length === 0) {
+      return res.status(400).json({ success: false, message: "No visit details to update." });
+    }
+
+    const vehicle = await Vehicle.findById(vehicleId);
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: "Vehicle not found." });
+    }
+
+    applyVisitDetails(vehicle, values, { userId: req.user._id, userName: req.user.name, role: req.user.role });
+    await vehicle.save();
+
+    res.json({ success: true, message: "Visit details updated.", vehicle });
+  } catch (error) {
+    console.error("❌ Error in PUT /vehicles/:vehicleId/visit-details:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Set or revise the promised delivery time of an open visit. Revisions need a reason.
+router.put("/vehicles/:vehicleId/promised-delivery", authMiddleware, requirePermission("visits:edit"), async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    const { promisedDeliveryAt, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+
+    const promisedAt = new Date(promisedDeliveryAt);
+    if (!promisedDeliveryAt || isNaN(promisedAt.getTime())) {
+      return res.status(400).json({ success: false, message: "A valid promised delivery time is required." });
+    }
+
+    const vehicle = await Vehicle.findOne({ _id: vehicleId, exitTime: null });
+    if (!vehicle) {
+      return res.status(404).json({ success: false, message: "No active vehicle entry found." });
+    }
+
+    if (vehicle.promisedDeliveryAt && !(reason && String(reason).trim())) {
+      return res.status(400).json({ success: false, message: "A reason is required to revise the promised delivery time." });
+    }
+
+    const actor = { userId: req.user._id, userName: req.user.name, role: req.user.role };
+    if (!setPromisedDelivery(vehicle, promisedAt, actor, reason ? String(reason).trim() : null)) {
+      return res.status(400).json({ success: false, message: "The promised delivery time is unchanged." });
+    }
+    if (!vehicle.serviceAdvisor && req.user.role === "Service Advisor") {
+      vehicle.serviceAdvisor = { userId: req.user._id, userName: req.user.name };
+    }
+
+    await vehicle.save();
+
+    console.log(`📅 ${req.user.name} set promised delivery for ${vehicle.vehicleNumber} to ${promisedAt.toISOString()}`);
+    res.json({ success: true, message: "Promised delivery time saved.", vehicle });
+  } catch (error) {
+    console.error("❌ Error in PUT /vehicles/:vehicleId/promised-delivery:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// The latest non-voided stage event of a visit, as a Mongo expression for use in $expr
+const CURRENT_STAGE_EXPR = {
+  $reduce: {
+    input: { $filter: { input: "$stages", cond: { $eq: [{ $ifNull: ["$$this.voided", null] }, null] } } },
+    initialValue: null,
+    in: {
+      $cond: [
+        { $or: [{ $eq: ["$$value", null] }, { $gte: ["$$this.timestamp", "$$value.timestamp"] }] },
+        "$$this",
+        "$$value"
+      ]
+    }
+  }
+};
+
+// ✅ Front desk search. Matches plates partially or fuzzily (e.g. the last four digits,
+// or 0/O and 1/I mixed up), plus job card number and model, and for roles with visits:view
+// customer name, phone and VIN. Filters by status, entry date range, current stage,
+// technician and work type.
+router.get("/visits/search", authMiddleware, async (req, res) => {
+  try {
+    const { from, to, stage, technicianId, workType } = req.query;
+    // Repeated or bracketed params arrive as arrays/objects, which must not reach the query
+    if ([req.query.q, stage, workType].some(value => value !== undefined && typeof value !== "string")) {
+      return res.status(400).json({ success: false, message: "q, stage and workType must each be given once, as text." });
+    }
+
+    const q = (req.query.q || "").trim();
+    const status = req.query.status || "all";
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (q.length < 2 && !from && !to && !stage && !technicianId && !workType) {
+      return res.status(400).json({ success: false, message: "Enter at least 2 characters or choose at least one filter." });
+    }
+    if (technicianId && !mongoose.Types.ObjectId.isValid(technicianId)) {
+      return res.status(400).json({ success: false, message: "Invalid technician id." });
+    }
+
+    const showCustomer = await hasPermission(req.user.role, "visits:view");
+
+    const conditions = [];
+    const compact = compactVehicleNumber(q);
+    if (q) {
+      const pattern = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+      const or = [{ jobCardNumber: pattern }, { vehicleModel: pattern }];
+      if (compact) or.push({ vehicleNumber: new RegExp(fuzzyVehicleNumberPattern(compact)) });
+      if (showCustomer) {
+        const phone = normalizePhone(q);
+        or.push({ customerName: pattern }, { vin: q.toUpperCase().replace(/[\s-]/g, "") });
+        if (phone) or.push({ customerPhone: phone });
       }
+      conditions.push({ $or: or });
+    }
 
-      if (lastUnendedStart && (new Date() - new Date(lastUnendedStart.timestamp)) / 60000 < 1) {
-        return res.status(400).json({
-          success: false,
-          message: `${stageName} cannot be ended within 10 minutes of starting.`
-        });
+    if (status === "open") conditions.push({ exitTime: null });
+    if (status === "closed") conditions.push({ exitTime: { $ne: null } });
+
+    if (from || to) {
+      const entryTime = {};
+      if (from) entryTime.$gte = new Date(from);
+      if (to) entryTime.$lte = new Date(to);
+      if (Object.values(entryTime).some(d => isNaN(d.getTime()))) {
+        return res.status(400).json({ success: false, message: "from and to must be valid dates." });
       }
+      conditions.push({ entryTime });
     }
 
-    // Add the new stage to the existing vehicle document
-    const newStage = {
-      stageName,
-      role,
-      eventType,
-      timestamp: new Date(),
-      performedBy: {
-        userId: req.user._id,
-        userName: req.user.name
-      },
-      inKM: role === "Security Guard" ? inKM : null,
-      outKM: role === "Security Guard" ? outKM : null,
-      inDriver: role === "Security Guard" ? inDriver : null,
-      outDriver: role === "Security Guard" ? outDriver : null,
-      workType: role === "Bay Technician" ? workType || null : null,
-      bayNumber: role === "Bay Technician" ? bayNumber || null : null,
-    };
+    if (technicianId) {
+      const technician = new mongoose.Types.ObjectId(technicianId);
+      conditions.push({
+        $or: [
+          { stages: { $elemMatch: { "performedBy.userId": technician, stageName: /^Bay Work/, voided: null } } },
+          { "labour.technician.userId": technician }
+        ]
+      });
+    }
 
-    vehicle.stages.push(newStage);
-    await vehicle.save();
+    if (workType) {
+      conditions.push({ stages: { $elemMatch: { workType, voided: null } } });
+    }
 
-    return res.status(200).json({
-      success: true,
-      message: `${stageName} updated successfully.`,
-      vehicle
+    // Current stage by workflow name, so "Bay Work" matches "Bay Work: PM: 2"
+    if (stage) {
+      const escaped = stage.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      conditions.push({
+        $expr: {
+          $regexMatch: {
+            input: { $ifNull: [{ $let: { vars: { current: CURRENT_STAGE_EXPR }, in: "$$current.stageName" } }, ""] },
+            regex: `^${escaped}($| \\d+$|:)`
+          }
+        }
+      });
+    }
+
+    const query = conditions.length > 0 ? { $and: conditions } : {};
+    const [total, visits] = await Promise.all([
+      Vehicle.countDocuments(query),
+      Vehicle.find(query)
+        .select("vehicleNumber entryTime exitTime jobCardNumber vehicleModel serviceAdvisor promisedDeliveryAt customerName customerPhone vin stages")
+        .sort({ entryTime: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean()
+    ]);
+
+    const exact = normalizeVehicleNumber(q);
+    const matchType = (vehicleNumber) => {
+      if (!compact) return null;
+      if (vehicleNumber === exact || vehicleNumber === compact) return "exact";
+      if (vehicleNumber.endsWith(compact)) return "ending";
+      if (vehicleNumber.includes(compact)) return "partial";
+      return new RegExp(fuzzyVehicleNumberPattern(compact)).test(vehicleNumber) ? "fuzzy" : null;
+    };
+
+    const vehicles = visits.map(visit => {
+      const events = visit.stages.filter(s => !s.voided);
+      const latest = events.reduce((last, s) => (!last || s.timestamp >= last.timestamp ? s : last), null);
+      return {
+        _id: visit._id,
+        vehicleNumber: visit.vehicleNumber,
+        entryTime: visit.entryTime,
+        exitTime: visit.exitTime,
+        ...visitSummary(visit),
+        ...(showCustomer
+          ? { customerPhone: visit.customerPhone || null, vin: visit.vin || null }
+          : { customerName: null }),
+        currentStage: latest
+          ? { stageName: latest.stageName, eventType: latest.eventType, timestamp: latest.timestamp, performedBy: latest.performedBy.userName }
+          : null,
+        workTypes: [...new Set(events.map(s => s.workType).filter(Boolean))],
+        technicians: [...new Set(events.filter(s => s.stageName.startsWith("Bay Work")).map(s => s.performedBy.userName))],
+        matchType: matchType(visit.vehicleNumber)
+      };
     });
 
+    res.json({ success: true, total, page, limit, count: vehicles.length, vehicles });
   } catch (error) {
-    console.error("❌ Error in /vehicle-check:", error);
-    return res.status(500).json({
-      success: false,
-      message: "Server error",
-      error: error.message
-    });
+    console.error("❌ Error in GET /visits/search:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
   }
 });
 
@@ -506,6 +935,7 @@ router.get("/bay-work-status", authMiddleware, async (req, res) => {
           "stages.role": "Bay Technician",
           "stages.eventType": "Start",
           "stages.performedBy.userId": userId,
+          "stages.voided": null,
           exitTime: null,
         },
       },
@@ -528,6 +958,7 @@ router.get("/bay-work-status", authMiddleware, async (req, res) => {
           "stages.role": "Bay Technician",
           "stages.eventType": "Pause",
           "stages.performedBy.userId": userId,
+          "stages.voided": null,
           exitTime: null,
         },
       },
@@ -545,6 +976,7 @@ router.get("/bay-work-status", authMiddleware, async (req, res) => {
                     { $eq: ["$stages.role", "Bay Technician"] },
                     { $in: ["$stages.eventType", ["Resume", "End"]] },
                     { $gt: ["$stages.timestamp", "$$pauseTimestamp"] },
+                    { $not: ["$stages.voided"] },
                   ],
                 },
               },
@@ -572,6 +1004,7 @@ router.get("/bay-work-status", authMiddleware, async (req, res) => {
           "stages.role": "Bay Technician",
           "stages.eventType": "End",
           "stages.performedBy.userId": userId,
+          "stages.voided": null,
           "stages.timestamp": { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) }, // Last 24 hours
           exitTime: null
         },
@@ -602,7 +1035,7 @@ router.get("/bay-work-status", authMiddleware, async (req, res) => {
 
 
 // ✅ 2️⃣ GET: Fetch All Vehicles & Their Full Journey
-router.get("/vehicles", async (req, res) => {
+router.get("/vehicles", authMiddleware, async (req, res) => {
   try {
     const vehicles = await Vehicle.find().sort({ entryTime: -1 });
 
@@ -618,10 +1051,13 @@ router.get("/vehicles", async (req, res) => {
 });
 
 
-router.get("/vehicles/:vehicleNumber", async (req, res) => {
+router.get("/vehicles/:vehicleNumber", authMiddleware, async (req, res) => {
   try {
-    const { vehicleNumber } = req.params;
-    const formattedVehicleNumber = vehicleNumber.trim().toUpperCase();
+    const plate = parseVehicleNumber(req.params.vehicleNumber);
+    if (plate.error) {
+      return res.status(400).json({ success: false, message: plate.error });
+    }
+    const formattedVehicleNumber = plate.vehicleNumber;
 
     const vehicle = await Vehicle.findOne({ vehicleNumber: formattedVehicleNumber }).sort({ entryTime: -1 });
 
@@ -636,6 +1072,66 @@ router.get("/vehicles/:vehicleNumber", async (req, res) => {
   }
 });
 
+// ✅ Every visit of a vehicle, newest first, each with its stage timeline
+router.get("/vehicles/:vehicleNumber/history", authMiddleware, async (req, res) => {
+  try {
+    const plate = parseVehicleNumber(req.params.vehicleNumber);
+    if (plate.error) {
+      return res.status(400).json({ success: false, message: plate.error });
+    }
+
+    const visits = await Vehicle.find({ vehicleNumber: plate.vehicleNumber }).sort({ entryTime: -1 }).lean();
+    if (visits.length === 0) {
+      return res.status(404).json({ success: false, message: "Vehicle not found." });
+    }
+
+    const now = new Date();
+    const workflow = await getActiveWorkflow();
+    const history = visits.map(visit => ({
+      ...visitHistoryEntry(visit, now),
+      timeline: buildVisitTimeline(visit, workflow, now)
+    }));
+
+    res.json({
+      success: true,
+      vehicleNumber: plate.vehicleNumber,
+      visitCount: history.length,
+      firstVisitAt: visits[visits.length - 1].entryTime,
+      lastVisitAt: visits[0].entryTime,
+      visits: history
+    });
+  } catch (error) {
+    console.error("❌ Error in GET /vehicles/:vehicleNumber/history:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Stage timeline of one visit: stages in order with durations, pauses and gaps
+router.get("/visits/:vehicleId/timeline", authMiddleware, async (req, res) => {
+  try {
+    const { vehicleId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(vehicleId)) {
+      return res.status(400).json({ success: false, message: "Invalid vehicle id." });
+    }
+
+    const visit = await Vehicle.findById(vehicleId).lean();
+    if (!visit) {
+      return res.status(404).json({ success: false, message: "Vehicle not found." });
+    }
+
+    const now = new Date();
+    const workflow = await getActiveWorkflow();
+    res.json({
+      success: true,
+      visit: visitHistoryEntry(visit, now),
+      timeline: buildVisitTimeline(visit, workflow, now)
+    });
+  } catch (error) {
+    console.error("❌ Error in GET /visits/:vehicleId/timeline:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
 
 // Fetch vehicles based on the user (user-specific history)
 router.get("/user-vehicles", authMiddleware, async (req, res) => {
@@ -0,0 +1,104 @@
+const { setPromisedDelivery } = require("./deliveryTracking");
+
+// Job card, customer and service details kept on each visit (Vehicle document)
+const VISIT_DETAIL_FIELDS = ["jobCardNumber", "customerName", "customerPhone", "vehicleModel", "vin", "promisedDeliveryAt"];
+
+// 10-digit Indian mobile, optionally written with +91/91/0 in front
+const normalizePhone = (value) => {
+  const digits = String(value).replace(/\D/g, "").replace(/^(91|0)(?=\d{10}$)/, "");
+  return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+};
+
+/**
+ * Validates the visit details sent by the app. Only the fields present are returned,
+ * so a partial update leaves the others alone; null or "" clears a field.
+ * Returns { values, errors }.
+ */
+const parseVisitDetails = (input = {}) => {
+  const values = {};
+  const errors = [];
+
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    return { values, errors: ["Visit details must be an object."] };
+  }
+
+  const text = (value) => (value === null || value === undefined ? "" : String(value).trim());
+
+  VISIT_DETAIL_FIELDS.forEach(field => {
+    if (input[field] === undefined) return;
+    const value = text(input[field]);
+
+    if (!value) {
+      values[field] = null;
+      return;
+    }
+
+    switch (field) {
+      case "jobCardNumber":
+        if (value.length > 40) errors.push("Job card number is too long.");
+        else values.jobCardNumber = value.toUpperCase();
+        break;
+      case "customerName":
+        if (value.length > 100) errors.push("Customer name is too long.");
+        else values.customerName = value;
+        break;
+      case "customerPhone": {
+        const phone = normalizePhone(value);
+        if (!phone) errors.push("Customer phone must be a valid 10-digit mobile number.");
+        else values.customerPhone = phone;
+        break;
+      }
+      case "vehicleModel":
+        if (value.length > 60) errors.push("Vehicle model is too long.");
+        else values.vehicleModel = value;
+        break;
+      case "vin": {
+        // Older vehicles carry chassis numbers shorter than the 17-character VIN
+        const vin = value.toUpperCase().replace(/[\s-]/g, "");
+        if (!/^[A-Z0-9]{6,17}$/.test(vin)) errors.push("VIN / chassis number must be 6-17 letters or digits.");
+        else values.vin = vin;
+        break;
+      }
+      case "promisedDeliveryAt": {
+        const date = new Date(value);
+        if (isNaN(date.getTime())) errors.push("Promised delivery must be a valid date and time.");
+        else values.promisedDeliveryAt = date;
+        break;
+      }
+    }
+  });
+
+  return { values, errors };
+};
+
+// Applies parsed details to a vehicle visit. The first person to fill them in is
+// recorded as the visit's Service Advisor.
+const applyVisitDetails = (vehicle, values, actor, at = new Date()) => {
+  const { promisedDeliveryAt, ...rest } = values;
+  Object.assign(vehicle, rest);
+  if (promisedDeliveryAt !== undefined) {
+    setPromisedDelivery(vehicle, promisedDeliveryAt, actor, null, at);
+  }
+  if (!vehicle.serviceAdvisor && actor.role === "Service Advisor") {
+    vehicle.serviceAdvisor = { userId: actor.userId, userName: actor.userName };
+  }
+  vehicle.visitDetailsUpdatedAt = at;
+  vehicle.visitDetailsUpdatedBy = { userId: actor.userId, userName: actor.userName };
+};
+
+// The visit details shown next to a vehicle in dashboard listings
+const visitSummary = (vehicle) => ({
+  jobCardNumber: vehicle.jobCardNumber || null,
+  customerName: vehicle.customerName || null,
+  vehicleModel: vehicle.vehicleModel || null,
+  serviceAdvisor: vehicle.serviceAdvisor ? vehicle.serviceAdvisor.userName : null,
+  promisedDeliveryAt: vehicle.promisedDeliveryAt || null
+});
+
+module.exports = {
+  VISIT_DETAIL_FIELDS,
+  normalizePhone,
+  parseVisitDetails,
+  applyVisitDetails,
+  visitSummary
+};
@@ -0,0 +1,155 @@
+const msToReadable = require("./msToReadable");
+const { findStageDefinition } = require("./workflowEngine");
+const { visitSummary } = require("./visitDetails");
+
+// Events of one stage instance share a name; Bay Work job names repeat across bays
+const instanceKey = (stage) => `${stage.stageName}|${stage.bayNumber || ""}`;
+
+const withReadable = (ms) => ({ ms, readable: ms === null ? null : msToReadable(ms) });
+
+/**
+ * Orders a visit's stage events into stage instances (Start through End, with
+ * pauses) and the gaps between them. Voided events are ignored. Instances still
+ * open run until `now` while the vehicle is in the workshop; stages that are only
+ * ever started (e.g. Job Card Creation) are milestones without a duration.
+ * The gate stage spans the whole visit, so it is listed but not used for gaps.
+ */
+const buildVisitTimeline = (vehicle, workflow, now = new Date()) => {
+  const events = vehicle.stages.filter(s => !s.voided).sort((a, b) => a.timestamp - b.timestamp);
+  const visitEnd = vehicle.exitTime || now;
+
+  const instances = [];
+  const open = new Map();
+  events.forEach(event => {
+    const key = instanceKey(event);
+
+    if (event.eventType === "Start") {
+      const definition = findStageDefinition(workflow, event.stageName, event.role);
+      const instance = {
+        stageName: event.stageName,
+        baseStageName: definition && definition.stageName !== "*" ? definition.stageName : event.stageName,
+        isGate: Boolean(definition && definition.gate),
+        isMilestone: Boolean(definition && !definition.eventTypes.includes("End")),
+        workType: event.workType || null,
+        bayNumber: event.bayNumber || null,
+        startedAt: event.timestamp,
+        startedBy: event.performedBy.userName,
+        endedAt: null,
+        endedBy: null,
+        autoClosed: false,
+        pauses: []
+      };
+      instances.push(instance);
+      if (!instance.isMilestone) open.set(key, instance);
+      return;
+    }
+
+    const instance = open.get(key);
+    if (!instance) return;
+
+    if (event.eventType === "Pause") {
+      instance.pauses.push({ pausedAt: event.timestamp, resumedAt: null, reason: event.pauseReason || null, note: event.pauseNote || null });
+    } else if (event.eventType === "Resume") {
+      const pause = instance.pauses[instance.pauses.length - 1];
+      if (pause && !pause.resumedAt) pause.resumedAt = event.timestamp;
+    } else if (event.eventType === "End") {
+      instance.endedAt = event.timestamp;
+      instance.endedBy = event.performedBy.userName;
+      instance.autoClosed = Boolean(event.autoClosed);
+      open.delete(key);
+    }
+  });
+
+  const stages = instances.map(instance => {
+    if (instance.isMilestone) {
+      return { ...instance, inProgress: false, duration: withReadable(null), pausedDuration: withReadable(null), activeDuration: withReadable(null) };
+    }
+
+    // Unfinished stages of a closed visit were never ended, so have no meaningful duration
+    const inProgress = !instance.endedAt && !vehicle.exitTime;
+    const until = instance.endedAt || (inProgress ? now : null);
+    const pauses = instance.pauses.map(p => {
+      const pauseEnd = p.resumedAt || until;
+      return { ...p, duration: withReadable(pauseEnd ? pauseEnd - p.pausedAt : null) };
+    });
+    const totalMs = until ? until - instance.startedAt : null;
+    const pausedMs = pauses.reduce((sum, p) => sum + (p.duration.ms || 0), 0);
+
+    return {
+      ...instance,
+      pauses,
+      inProgress,
+      duration: withReadable(totalMs),
+      pausedDuration: withReadable(totalMs === null ? null : pausedMs),
+      activeDuration: withReadable(totalMs === null ? null : totalMs - pausedMs)
+    };
+  });
+
+  // Idle time when no stage was in progress, between one stage finishing and the next starting
+  const gaps = [];
+  let busyUntil = null;
+  let lastStage = null;
+  stages.filter(s => !s.isGate).forEach(stage => {
+    if (busyUntil && stage.startedAt > busyUntil) {
+      gaps.push({
+        after: lastStage.stageName,
+        before: stage.stageName,
+        from: busyUntil,
+        to: stage.startedAt,
+        duration: withReadable(stage.startedAt - busyUntil)
+      });
+    }
+    const stageEnd = stage.endedAt || (stage.inProgress ? now : stage.startedAt);
+    if (!busyUntil || stageEnd > busyUntil) {
+      busyUntil = stageEnd;
+      lastStage = stage;
+    }
+  });
+
+  const turnaroundMs = visitEnd - vehicle.entryTime;
+  return {
+    vehicleId: vehicle._id,
+    vehicleNumber: vehicle.vehicleNumber,
+    entryTime: vehicle.entryTime,
+    exitTime: vehicle.exitTime,
+    turnaround: withReadable(turnaroundMs),
+    totalGap: withReadable(gaps.reduce((sum, g) => sum + g.duration.ms, 0)),
+    stages,
+    gaps
+  };
+};
+
+// One line of a vehicle's service history: times, work done and who handled it
+const visitHistoryEntry = (vehicle, now = new Date()) => {
+  const events = vehicle.stages.filter(s => !s.voided);
+
+  const people = new Map();
+  const addPerson = (actor, role) => {
+    if (!actor || !actor.userId) return;
+    const key = String(actor.userId);
+    if (!people.has(key)) people.set(key, { userId: actor.userId, userName: actor.userName, roles: [] });
+    if (role && !people.get(key).roles.includes(role)) people.get(key).roles.push(role);
+  };
+  events.forEach(s => addPerson(s.performedBy, s.role));
+  (vehicle.labour || []).forEach(session => addPerson(session.technician, "Bay Technician"));
+  addPerson(vehicle.serviceAdvisor, "Service Advisor");
+
+  return {
+    vehicleId: vehicle._id,
+    vehicleNumber: vehicle.vehicleNumber,
+    entryTime: vehicle.entryTime,
+    exitTime: vehicle.exitTime,
+    inWorkshop: !vehicle.exitTime,
+    turnaround: withReadable((vehicle.exitTime || now) - vehicle.entryTime),
+    ...visitSummary(vehicle),
+    workTypes: [...new Set(events.map(s => s.workType).filter(Boolean))],
+    stageCount: events.filter(s => s.eventType === "Start").length,
+    additionalWorkCount: (vehicle.additionalWork || []).length,
+    people: [...people.values()]
+  };
+};
+
+module.exports = {
+  buildVisitTimeline,
+  visitHistoryEntry
+};
@@ -0,0 +1,439 @@
+const Workflow = require("./models/workflow");
+const { allowedRoles } = require("./models/user");
+const { hasPermission, stageAction } = require("./permissions");
+
+const EVENT_TYPES = ["Start", "End", "Pause", "Resume"];
+
+// Default workshop process, used until an Admin saves a workflow.
+// Mirrors the rules /vehicle-check has always applied.
+const DEFAULT_STAGES = [
+  {
+    stageName: "*",
+    roles: ["Security Guard"],
+    eventTypes: ["Start", "End"],
+    repeatable: "always",
+    gate: true
+  },
+  {
+    stageName: "Interactive Bay",
+    roles: ["Active Reception Technician"],
+    eventTypes: ["Start", "End"],
+    minDurationMinutes: 1
+  },
+  {
+    stageName: "Job Card Creation + Customer Approval",
+    roles: ["Service Advisor"],
+    eventTypes: ["Start"],
+    repeatable: "once",
+    collectsVisitDetails: true
+  },
+  {
+    stageName: "Job Card Received + Bay Allocation",
+    roles: ["Job Controller"],
+    eventTypes: ["Start"],
+    repeatable: "always",
+    numbering: "sequence",
+    restartCooldownMinutes: 10
+  },
+  {
+    stageName: "Bay Work",
+    roles: ["Bay Technician"],
+    eventTypes: EVENT_TYPES,
+    repeatable: "always",
+    numbering: "bayWork",
+    bayConflict: "block"
+  },
+  {
+    stageName: "Additional Work Job Approval",
+    roles: ["Service Advisor"],
+    eventTypes: ["Start"],
+    repeatable: "always",
+    numbering: "sequence"
+  },
+  {
+    stageName: "Creation of Parts Estimate",
+    roles: ["Parts Team"],
+    eventTypes: ["Start", "End"],
+    minDurationMinutes: 1
+  },
+  {
+    stageName: "Job Card Received (by Technician)",
+    roles: ["Job Controller"],
+    eventTypes: ["Start"],
+    repeatable: "once"
+  },
+  {
+    stageName: "Final Inspection",
+    roles: ["Final Inspection Technician"],
+    eventTypes: ["Start", "End"],
+    minDurationMinutes: 1
+  },
+  {
+    stageName: "Job Card Received (by FI)",
+    roles: ["Job Controller"],
+    eventTypes: ["Start"],
+    repeatable: "once"
+  },
+  {
+    stageName: "Ready for Washing",
+    roles: ["Service Advisor"],
+    eventTypes: ["Start", "End"],
+    prerequisites: [{
+      stageName: "Job Card Creation + Customer Approval",
+      eventType: "Start",
+      enforcement: "warn",
+      message: "Warning: You should have started Job Card Creation + Customer Approval first. This has been recorded as a process exception."
+    }]
+  },
+  {
+    stageName: "Washing",
+    roles: ["Washing"],
+    eventTypes: ["Start", "End"],
+    minDurationMinutes: 1
+  }
+];
+
+// Fills in schema defaults so plain objects and stored documents look the same
+const normalizeStage = (stage) => ({
+  stageName: stage.stageName,
+  roles: [...(stage.roles || [])],
+  eventTypes: [...(stage.eventTypes || [])],
+  prerequisites: (stage.prerequisites || []).map(p => ({
+    stageName: p.stageName,
+    eventType: p.eventType || "Start",
+    enforcement: p.enforcement || "block",
+    message: p.message || null
+  })),
+  repeatable: stage.repeatable || "whileClosed",
+  numbering: stage.numbering || "none",
+  gate: Boolean(stage.gate),
+  bayConflict: stage.bayConflict || "block",
+  collectsVisitDetails: Boolean(stage.collectsVisitDetails),
+  restartCooldownMinutes: stage.restartCooldownMinutes ?? null,
+  minDurationMinutes: stage.minDurationMinutes ?? null,
+  maxDurationMinutes: stage.maxDurationMinutes ?? null
+});
+
+const defaultWorkflow = () => ({ version: 0, isDefault: true, stages: DEFAULT_STAGES.map(normalizeStage) });
+
+// The active workflow is cached briefly so every scan doesn't hit the database
+const CACHE_TTL_MS = 60 * 1000;
+let cachedWorkflow = null;
+let cachedAt = 0;
+
+const invalidateWorkflowCache = () => {
+  cachedWorkflow = null;
+  cachedAt = 0;
+};
+
+const getActiveWorkflow = async () => {
+  if (cachedWorkflow && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cachedWorkflow;
+  }
+
+  const stored = await Workflow.findOne({ isActive: true }).sort({ version: -1 }).lean();
+  cachedWorkflow = stored
+    ? { version: stored.version, isDefault: false, stages: stored.stages.map(normalizeStage) }
+    : defaultWorkflow();
+  cachedAt = Date.now();
+  return cachedWorkflow;
+};
+
+// Returns a list of problems with a proposed stage list (empty when valid)
+const validateWorkflowStages = (stages) => {
+  if (!Array.isArray(stages) || stages.length === 0) {
+    return ["stages must be a non-empty array."];
+  }
+
+  const errors = [];
+  const names = stages.map(s => s && s.stageName);
+
+  stages.forEach((stage, index) => {
+    const label = stage?.stageName ? `"${stage.stageName}"` : `#${index + 1}`;
+
+    if (!stage || typeof stage.stageName !== "string" || !stage.stageName.trim()) {
+      errors.push(`Stage ${label}: stageName is required.`);
+      return;
+    }
+    if (names.indexOf(stage.stageName) !== index) {
+      errors.push(`Stage ${label}: duplicate stageName.`);
+    }
+    if (!Array.isArray(stage.roles) || stage.roles.length === 0 || stage.roles.some(r => !allowedRoles.includes(r))) {
+      errors.push(`Stage ${label}: roles must be a non-empty list of valid roles.`);
+    }
+    if (!Array.isArray(stage.eventTypes) || stage.eventTypes.length === 0 || stage.eventTypes.some(e => !EVENT_TYPES.includes(e))) {
+      errors.push(`Stage ${label}: eventTypes must be a non-empty subset of ${EVENT_TYPES.join(", ")}.`);
+    } else if (!stage.eventTypes.includes("Start")) {
+      errors.push(`Stage ${label}: eventTypes must include Start.`);
+    }
+    if (stage.repeatable && !["once", "whileClosed", "always"].includes(stage.repeatable)) {
+      errors.push(`Stage ${label}: repeatable must be once, whileClosed or always.`);
+    }
+    if (stage.numbering && !["none", "sequence", "bayWork"].includes(stage.numbering)) {
+      errors.push(`Stage ${label}: numbering must be none, sequence or bayWork.`);
+    }
+    if (stage.bayConflict && !["block", "warn", "allow"].includes(stage.bayConflict)) {
+      errors.push(`Stage ${label}: bayConflict must be block, warn or allow.`);
+    }
+    if (stage.stageName === "*" && !stage.gate) {
+      errors.push(`Stage ${label}: the "*" wildcard is only allowed for the gate stage.`);
+    }
+
+    ["restartCooldownMinutes", "minDurationMinutes", "maxDurationMinutes"].forEach(field => {
+      const value = stage[field];
+      if (value !== undefined && value !== null && (typeof value !== "number" || value < 0)) {
+        errors.push(`Stage ${label}: ${field} must be a non-negative number.`);
+      }
+    });
+    if (stage.minDurationMinutes != null && stage.maxDurationMinutes != null &&
+        stage.minDurationMinutes > stage.maxDurationMinutes) {
+      errors.push(`Stage ${label}: minDurationMinutes cannot exceed maxDurationMinutes.`);
+    }
+
+    (stage.prerequisites || []).forEach(p => {
+      if (!p || !names.includes(p.stageName)) {
+        errors.push(`Stage ${label}: prerequisite "${p?.stageName}" is not a stage in this workflow.`);
+      } else if (p.eventType && !EVENT_TYPES.includes(p.eventType)) {
+        errors.push(`Stage ${label}: prerequisite eventType must be one of ${EVENT_TYPES.join(", ")}.`);
+      } else if (p.enforcement && !["block", "warn"].includes(p.enforcement)) {
+        errors.push(`Stage ${label}: prerequisite enforcement must be block or warn.`);
+      }
+    });
+  });
+
+  if (stages.filter(s => s && s.gate).length > 1) {
+    errors.push("Only one stage can be the gate stage.");
+  }
+
+  return errors;
+};
+
+// /vehicle-check needs both the workflow and the permission matrix to allow a scan, so a
+// role given a stage here but not its stage permission could never record it.
+// Returns a list of mismatches (empty when every role/event pair is granted).
+const findPermissionMismatches = async (stages) => {
+  const errors = [];
+  for (const stage of stages) {
+    for (const role of stage.roles) {
+      for (const eventType of stage.eventTypes) {
+        if (!(await hasPermission(role, stageAction(stage.stageName, eventType)))) {
+          errors.push(`Stage "${stage.stageName}": ${role} has no permission for ${eventType}. Update the permission matrix first.`);
+        }
+      }
+    }
+  }
+  return errors;
+};
+
+// Exact name first, then the longest stage that prefixes it ("Bay Work: PM: 1" -> "Bay Work"),
+// then a gate wildcard for the scanning role
+const findStageDefinition = (workflow, stageName, role) => {
+  const exact = workflow.stages.find(s => s.stageName === stageName);
+  if (exact) return exact;
+
+  const prefixed = workflow.stages
+    .filter(s => s.stageName !== "*" && stageName.startsWith(s.stageName))
+    .sort((a, b) => b.stageName.length - a.stageName.length)[0];
+  if (prefixed) return prefixed;
+
+  return workflow.stages.find(s => s.stageName === "*" && s.roles.includes(role)) || null;
+};
+
+// Whether a recorded stage name is an instance of a defined stage
+const belongsToStage = (recordedName, baseName, numbering) => {
+  if (recordedName === baseName) return true;
+  if (numbering === "sequence") return new RegExp(`^${escapeRegExp(baseName)} \\d+$`).test(recordedName);
+  if (numbering === "bayWork") return recordedName.startsWith(`${baseName}:`);
+  return false;
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const minutesBetween = (from, to) => (new Date(to) - new Date(from)) / 60000;
+
+// The most recent Start in `events` that has no End after it
+const findOpenStart = (events) => {
+  const starts = events
+    .filter(e => e.eventType === "Start")
+    .sort((a, b) => b.timestamp - a.timestamp);
+  return starts.find(start =>
+    !events.some(e => e.eventType === "End" && e.timestamp > start.timestamp)
+  ) || null;
+};
+
+const isPausedSince = (events, start) => {
+  const after = events.filter(e => e.timestamp > start.timestamp);
+  const pauses = after.filter(e => e.eventType === "Pause").length;
+  const resumes = after.filter(e => e.eventType === "Resume").length;
+  return pauses > resumes;
+};
+
+const fail = (message, status = 400) => ({ allowed: false, status, message });
+
+// Pause/Resume/End checks shared by every stage: work must be open, and
+// pausing, resuming and ending must follow on from the current state
+const checkOpenInstanceEvent = (definition, events, eventType, now, label) => {
+  const openStart = findOpenStart(events);
+  if (!openStart) {
+    return fail(`Cannot ${eventType.toLowerCase()} - no active ${label}`);
+  }
+
+  const paused = isPausedSince(events, openStart);
+  if (eventType === "Pause" && paused) return fail("Work is already paused");
+  if (eventType === "Resume" && !paused) return fail("Work is not paused");
+  if (eventType === "End" && paused) return fail("Cannot end while work is paused - please resume first");
+
+  const warnings = [];
+  if (eventType === "End") {
+    const elapsed = minutesBetween(openStart.timestamp, now);
+    if (definition.minDurationMinutes != null && elapsed < definition.minDurationMinutes) {
+      return fail(`${definition.stageName} cannot be ended within ${definition.minDurationMinutes} minutes of starting.`);
+    }
+    if (definition.maxDurationMinutes != null && elapsed > definition.maxDurationMinutes) {
+      warnings.push({
+        type: "overMaxDuration",
+        message: `${definition.stageName} took ${Math.round(elapsed)} minutes, longer than the ${definition.maxDurationMinutes} minute limit.`
+      });
+    }
+  }
+
+  return { allowed: true, openStart, warnings };
+};
+
+/**
+ * Validates one scan against a stage definition and the visit's recorded stages.
+ * Returns { allowed: false, status, message } or
+ * { allowed: true, stageName, warnings, autoClose, jobStart } where stageName is the
+ * name to record (numbered where the stage is numbered), warnings are { type, message }
+ * process exceptions that did not block the scan, autoClose lists open Bay Work
+ * starts that must be ended first and jobStart is the Start that Pause/Resume/End apply to.
+ */
+const evaluateScan = ({ definition, stages, stageName, eventType, role, workType, bayNumber, now = new Date() }) => {
+  if (!definition.roles.includes(role)) {
+    return fail(`${role} is not allowed to record ${definition.stageName === "*" ? stageName : definition.stageName}.`, 403);
+  }
+  if (!definition.eventTypes.includes(eventType)) {
+    return fail(`${eventType} is not allowed for ${definition.stageName === "*" ? stageName : definition.stageName}.`);
+  }
+
+  // Gate scans open and close visits; the route handles them
+  if (definition.gate) {
+    return { allowed: true, stageName, warnings: [], autoClose: [] };
+  }
+
+  const baseName = definition.stageName;
+  const warnings = [];
+
+  if (eventType === "Start") {
+    for (const prerequisite of definition.prerequisites) {
+      const satisfied = stages.some(s =>
+        (s.stageName === prerequisite.stageName || s.stageName.startsWith(prerequisite.stageName)) &&
+        s.eventType === prerequisite.eventType
+      );
+      if (!satisfied) {
+        const message = prerequisite.message ||
+          `${prerequisite.stageName} must be ${prerequisite.eventType === "End" ? "completed" : "started"} before ${baseName}.`;
+        if (prerequisite.enforcement === "block") return fail(message);
+        warnings.push({ type: "prerequisiteSkipped", message });
+      }
+    }
+  }
+
+  if (definition.numbering === "bayWork") {
+    return evaluateBayWorkScan({ definition, stages, eventType, workType, bayNumber, now, warnings });
+  }
+
+  const related = stages.filter(s => belongsToStage(s.stageName, baseName, definition.numbering));
+
+  if (eventType === "Start") {
+    const starts = related.filter(s => s.eventType === "Start").sort((a, b) => b.timestamp - a.timestamp);
+
+    if (definition.repeatable === "once" && starts.length > 0) {
+      return fail(`${baseName} has already been recorded for this vehicle.`);
+    }
+    if (definition.repeatable === "whileClosed" && findOpenStart(related)) {
+      return fail(`${baseName} has already been started and not yet ended.`);
+    }
+    if (definition.restartCooldownMinutes != null && starts[0] &&
+        minutesBetween(starts[0].timestamp, now) < definition.restartCooldownMinutes) {
+      return fail(`${baseName} cannot be restarted within ${definition.restartCooldownMinutes} minutes.`);
+    }
+
+    return {
+      allowed: true,
+      stageName: definition.numbering === "sequence" ? `${baseName} ${starts.length + 1}` : baseName,
+      warnings,
+      autoClose: []
+    };
+  }
+
+  const check = checkOpenInstanceEvent(definition, related, eventType, now, baseName);
+  if (!check.allowed) return check;
+
+  return {
+    allowed: true,
+    stageName: check.openStart.stageName,
+    jobStart: check.openStart,
+    warnings: [...warnings, ...check.warnings],
+    autoClose: []
+  };
+};
+
+// Bay Work is tracked per work type and bay: "Bay Work: <workType>: N"
+const evaluateBayWorkScan = ({ definition, stages, eventType, workType, bayNumber, now, warnings }) => {
+  const baseName = definition.stageName;
+
+  if (!workType || !bayNumber) {
+    return fail(`Work type and bay number are required for ${baseName}.`);
+  }
+
+  const bayNum = Number(bayNumber);
+  const bayWorkStages = stages.filter(s => s.stageName.startsWith(baseName));
+  const sameJob = bayWorkStages.filter(s => s.workType === workType && s.bayNumber == bayNum);
+
+  if (eventType === "Start") {
+    if (findOpenStart(sameJob)) {
+      return fail(`Please end the previous ${workType} work in bay ${bayNum} first`);
+    }
+
+    // Starting new work closes whatever Bay Work was left open on this vehicle
+    const unfinishedAnyWork = bayWorkStages.find(stage =>
+      stage.eventType === "Start" &&
+      !bayWorkStages.some(s => s.eventType === "End" && s.timestamp > stage.timestamp)
+    );
+
+    const jobCount = sameJob.filter(s => s.eventType === "Start").length;
+    return {
+      allowed: true,
+      stageName: `${baseName}: ${workType}: ${jobCount + 1}`,
+      warnings,
+      autoClose: unfinishedAnyWork ? [unfinishedAnyWork] : []
+    };
+  }
+
+  const check = checkOpenInstanceEvent(definition, sameJob, eventType, now, `${workType} work in bay ${bayNum}`);
+  if (!check.allowed) return check;
+
+  return {
+    allowed: true,
+    stageName: check.openStart.stageName,
+    jobStart: check.openStart,
+    warnings: [...warnings, ...check.warnings],
+    autoClose: []
+  };
+};
+
+module.exports = {
+  EVENT_TYPES,
+  DEFAULT_STAGES,
+  normalizeStage,
+  defaultWorkflow,
+  getActiveWorkflow,
+  invalidateWorkflowCache,
+  validateWorkflowStages,
+  findPermissionMismatches,
+  findStageDefinition,
+  belongsToStage,
+  findOpenStart,
+  evaluateScan
+};
@@ -0,0 +1,127 @@
+const express = require("express");
+const router = express.Router();
+const Workflow = require("./models/workflow");
+const { authMiddleware } = require("./userAuth");
+const { requirePermission } = require("./permissions");
+const {
+  EVENT_TYPES,
+  getActiveWorkflow,
+  invalidateWorkflowCache,
+  normalizeStage,
+  validateWorkflowStages,
+  findPermissionMismatches
+} = require("./workflowEngine");
+
+// ✅ Get the workflow currently enforced by /vehicle-check
+router.get("/workflow", authMiddleware, async (req, res) => {
+  try {
+    const workflow = await getActiveWorkflow();
+    res.json({ success: true, workflow, eventTypes: EVENT_TYPES });
+  } catch (error) {
+    console.error("❌ Error in GET /workflow:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ List saved workflow versions (Admin)
+router.get("/workflow/versions", authMiddleware, requirePermission("workflow:manage"), async (req, res) => {
+  try {
+    const versions = await Workflow.find()
+      .sort({ version: -1 })
+      .populate("updatedBy", "name role")
+      .lean();
+    res.json({ success: true, versions });
+  } catch (error) {
+    console.error("❌ Error in GET /workflow/versions:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Save a new workflow version and make it active (Admin)
+router.put("/workflow", authMiddleware, requirePermission("workflow:manage"), async (req, res) => {
+  try {
+    const { stages, notes } = req.body;
+
+    const errors = validateWorkflowStages(stages);
+    if (errors.length > 0) {
+      return res.status(400).json({ success: false, message: "Invalid workflow.", errors });
+    }
+
+    const normalizedStages = stages.map(s => normalizeStage({ ...s, stageName: s.stageName.trim() }));
+    const mismatches = await findPermissionMismatches(normalizedStages);
+    if (mismatches.length > 0) {
+      return res.status(400).json({ success: false, message: "Workflow roles do not match the permission matrix.", errors: mismatches });
+    }
+
+    // Versions are latest + 1; the unique index rejects a version another save took first
+    let workflow;
+    try {
+      const latest = await Workflow.findOne().sort({ version: -1 }).select("version").lean();
+      workflow = await Workflow.create({
+        version: (latest ? latest.version : 0) + 1,
+        isActive: false,
+        stages: normalizedStages,
+        notes: notes || null,
+        updatedBy: req.user._id
+      });
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      return res.status(409).json({
+        success: false,
+        message: "Another workflow version was saved at the same time. Reload the workflow and try again."
+      });
+    }
+
+    // Activate only once the new version is saved, so a failed save leaves the old one in force
+    await Workflow.updateMany({ _id: { $ne: workflow._id }, isActive: true }, { $set: { isActive: false } });
+    workflow.isActive = true;
+    await workflow.save();
+
+    invalidateWorkflowCache();
+    console.log(`🔧 Workflow version ${workflow.version} activated by ${req.user.name}`);
+
+    res.json({ success: true, message: `Workflow version ${workflow.version} is now active.`, workflow });
+  } catch (error) {
+    console.error("❌ Error in PUT /workflow:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Activate an earlier saved version again (Admin)
+router.post("/workflow/versions/:version/activate", authMiddleware, requirePermission("workflow:manage"), async (req, res) => {
+  try {
+    const workflow = await Workflow.findOne({ version: Number(req.params.version) });
+    if (!workflow) {
+      return res.status(404).json({ success: false, message: "Workflow version not found." });
+    }
+
+    await Workflow.updateMany({ _id: { $ne: workflow._id }, isActive: true }, { $set: { isActive: false } });
+    workflow.isActive = true;
+    await workflow.save();
+
+    invalidateWorkflowCache();
+    console.log(`🔧 Workflow version ${workflow.version} re-activated by ${req.user.name}`);
+
+    res.json({ success: true, message: `Workflow version ${workflow.version} is now active.`, workflow });
+  } catch (error) {
+    console.error("❌ Error in POST /workflow/versions/:version/activate:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+// ✅ Go back to the built-in default workflow (Admin). Saved versions are kept.
+router.post("/workflow/reset", authMiddleware, requirePermission("workflow:manage"), async (req, res) => {
+  try {
+    await Workflow.updateMany({ isActive: true }, { $set: { isActive: false } });
+    invalidateWorkflowCache();
+
+    const workflow = await getActiveWorkflow();
+    console.log(`🔧 Workflow reset to default by ${req.user.name}`);
+    res.json({ success: true, message: "Workflow reset to the default.", workflow });
+  } catch (error) {
+    console.error("❌ Error in POST /workflow/reset:", error);
+    res.status(500).json({ success: false, message: "Server error", error: error.message });
+  }
+});
+
+module.exports = router;